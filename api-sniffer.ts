@@ -1,11 +1,49 @@
+import { adapterFor, type RequestOptions } from "./providers";
+
 export interface ApiInfo {
-  provider: "openai" | "anthropic" | "deepseek" | "openrouter" | "hyperbolic" | "vllm" | "kobold-cpp" | "chutes" | "unknown";
+  provider: "openai" | "anthropic" | "deepseek" | "openrouter" | "hyperbolic" | "vllm" | "kobold-cpp" | "llama-cpp" | "ollama" | "mock" | "chutes" | "unknown";
   supportsLogprobs: "yes" | "no" | "unknown";
   supportsPrefill: "yes" | "no" | "unknown";
-  prefillStyle?: { kind: "trailing" } | { kind: "flags"; flags: Record<string, any>; target: "body" | "message" };
+  prefillStyle?: PrefillStyle;
   needsTemperature?: number;
+  /** If false, the provider doesn't support sampling several completions per request with `n`. */
+  supportsN?: boolean;
+  /**
+   * If true, `probeApi` found that the logprobs come with token ids, so extra pages of alternatives can be found with
+   * `logit_bias`. Native adapters that always return them don't need this, see `ProviderAdapter.returnsTokenIds`.
+   */
+  returnsTokenIds?: boolean;
   onlySupportsModels?: string[];
   extraWarning?: string;
+  /**
+   * For providers queried through their native API instead of the OpenAI-compatible one (see `adapterFor`), the URL the
+   * native endpoints are under. This is often above the base URL, e.g. without the `/v1`.
+   */
+  nativeUrl?: string;
+  /**
+   * If set, `supportsLogprobs`, `supportsPrefill` and `prefillStyle` were checked with real requests by `probeApi`,
+   * instead of guessed from the provider.
+   */
+  probe?: ProbeResult;
+}
+
+/** How a chat API is told that the last (assistant) message is a prefill to continue, instead of a finished turn. */
+export type PrefillStyle =
+  { kind: "trailing" } | { kind: "flags"; flags: Record<string, any>; target: "body" | "message" };
+
+/** What `probeApi`'s requests to a model showed it supports. */
+export interface ProbeResult {
+  model: string;
+  modelType: "chat" | "base";
+  /** How many top logprobs came back for the first token, or 0 if the API doesn't return them. */
+  logprobs: number;
+  /**
+   * Chat models only: each prefill style that was tried, and whether the model continued the prefill. The style is null
+   * for providers with a native API, which take the prefill directly.
+   */
+  prefill: Array<{ style: PrefillStyle | null; worked: boolean; error?: string }>;
+  /** When the probe ran, in ms since the epoch. */
+  testedAt: number;
 }
 
 const UNKNOWN_API: ApiInfo = {
@@ -16,6 +54,20 @@ const UNKNOWN_API: ApiInfo = {
 
 export async function sniffApi(baseUrl: string, apiKey: string): Promise<ApiInfo> {
   baseUrl = baseUrl.replace(/\/+$/, "");
+  const originalBaseUrl = baseUrl;
+
+  if (baseUrl.startsWith("mock://")) {
+    // the built-in mock model, see `adapterFor`
+    return { provider: "mock", supportsLogprobs: "yes", supportsPrefill: "yes" };
+  }
+  // local servers are the ones likely to have a native API, so only probe other URLs if /models doesn't know them
+  const local = isProbablyLocalhost(baseUrl);
+  if (local) {
+    const native = await sniffNative(baseUrl, apiKey);
+    if (native != null) {
+      return native;
+    }
+  }
 
   // walk up baseUrl in case /models is hosted on a higher path (e.g. deepseek has api.deepseek.com/models but not /beta/models)
   for (let i = 0; i < 3; i++) {
@@ -33,7 +85,162 @@ export async function sniffApi(baseUrl: string, apiKey: string): Promise<ApiInfo
     }
   }
 
-  return UNKNOWN_API;
+  return (!local ? await sniffNative(originalBaseUrl, apiKey) : null) ?? UNKNOWN_API;
+}
+
+export function isProbablyLocalhost(url: string): boolean {
+  return (
+    url.includes("//localhost") ||
+    url.includes("//127.0.0") ||
+    url.includes("//[::1]") ||
+    url.includes("//[0:0:0:0:0:0:0:1]")
+  );
+}
+
+/** Every prefill style `_sniffApi` knows about, for `probeApi` to try. */
+const knownPrefillStyles: PrefillStyle[] = [
+  { kind: "trailing" },
+  { kind: "flags", flags: { prefix: true }, target: "message" }, // deepseek
+  { kind: "flags", flags: { continue_final_message: true, add_generation_prompt: false }, target: "body" }, // vllm
+];
+
+/**
+ * Check what `opts.model` actually supports by sending it tiny requests, instead of guessing from the provider: one
+ * asking for top logprobs, and for chat models, one with a prefill in each known prefill style. Returns `opts.apiInfo`
+ * (from `sniffApi`) updated with the results. Throws if even a plain request fails, e.g. because of a wrong API key.
+ */
+export async function probeApi(
+  opts: Pick<RequestOptions, "client" | "baseUrl" | "apiInfo" | "model" | "modelType" | "mockCorpus" | "signal">
+): Promise<ApiInfo> {
+  const adapter = adapterFor(opts.apiInfo);
+  const temperature = opts.apiInfo.needsTemperature ?? 0.0;
+  async function send(apiInfo: ApiInfo, prompt: string, prefill: string, maxTokens: number, topLogprobs: number | null) {
+    const requestOpts: RequestOptions = { ...opts, apiInfo, prompt, stopSequences: [], maxAttempts: 1 };
+    const request = adapter.buildRequest(prefill, requestOpts, { maxTokens, temperature, topLogprobs });
+    const response = adapter.parse(await adapter.send(request, requestOpts));
+    console.log("probe response:", response);
+    return response.choices[0];
+  }
+
+  // many APIs cap top logprobs (often at 5 or 20), and some reject requests for more, so try less before giving up
+  let logprobs = 0;
+  let returnsTokenIds = false;
+  for (const topLogprobs of [20, 5, null]) {
+    try {
+      const prompt = opts.modelType === "chat" ? "Say hi." : "1, 2, 3, 4,";
+      const choice = await send(opts.apiInfo, prompt, "", 1, topLogprobs);
+      logprobs = choice?.logprobs?.[0]?.topLogprobs.length ?? 0;
+      returnsTokenIds = logprobs > 0 && choice!.logprobs![0]!.topLogprobs.every((a) => a.tokenId != null);
+      break;
+    } catch (e) {
+      console.log(`probe with top_logprobs=${topLogprobs} failed:`, e);
+      if (topLogprobs == null || opts.signal?.aborted) {
+        throw e; // not a logprobs problem
+      }
+    }
+  }
+
+  // if the prefill is continued, the model counts on from 5. otherwise it ignores it, starts over, or errors
+  const prefill: ProbeResult["prefill"] = [];
+  if (opts.modelType === "chat") {
+    const styles = adapter.usesPrefillStyle ? knownPrefillStyles : [null];
+    for (const style of styles) {
+      try {
+        const apiInfo = { ...opts.apiInfo, prefillStyle: style ?? opts.apiInfo.prefillStyle };
+        const choice = await send(apiInfo, "Count from 1 to 10, separated by commas.", "1, 2, 3, 4,", 3, null);
+        prefill.push({ style, worked: /^\s*5\b/.test(choice?.text ?? "") });
+      } catch (e) {
+        console.log(`probe with prefill style ${JSON.stringify(style)} failed:`, e);
+        if (opts.signal?.aborted) {
+          throw e;
+        }
+        prefill.push({ style, worked: false, error: e instanceof Error ? e.message : String(e) });
+      }
+    }
+  }
+
+  const worked = prefill.find((p) => p.worked);
+  return {
+    ...opts.apiInfo,
+    supportsLogprobs: logprobs > 0 ? "yes" : "no",
+    returnsTokenIds,
+    ...(opts.modelType === "chat" ? { supportsPrefill: worked != null ? "yes" : "no" } : {}),
+    ...(worked?.style != null ? { prefillStyle: worked.style } : {}),
+    probe: { model: opts.model, modelType: opts.modelType, logprobs, prefill, testedAt: Date.now() },
+  };
+}
+
+/** Look for a server with a native API that `adapterFor` prefers over its OpenAI-compatible one. */
+async function sniffNative(baseUrl: string, apiKey: string): Promise<ApiInfo | null> {
+  const [llamaCpp, ollama] = await Promise.all([sniffLlamaCpp(baseUrl, apiKey), sniffOllama(baseUrl)]);
+  return llamaCpp ?? ollama;
+}
+
+/**
+ * llama.cpp server's native API is a better fit than its OpenAI shim (it returns token ids and exact bytes), so look
+ * for its native endpoints. `/props` is llama.cpp-specific, but can be disabled, so fall back to `/health`. Other
+ * servers have one too (TabbyAPI's also returns a JSON status), so only trust it alongside llama.cpp's `/v1/models`.
+ */
+async function sniffLlamaCpp(baseUrl: string, apiKey: string): Promise<ApiInfo | null> {
+  return await firstNativeRoot(baseUrl, async (root) => {
+    const props = await getJson(`${root}/props`, apiKey);
+    const health = props?.default_generation_settings == null ? await getJson(`${root}/health`, apiKey) : null;
+    const models = health?.status === "ok" ? await getJson(`${root}/v1/models`, apiKey) : null;
+    const servedByLlamaCpp = Array.isArray(models?.data) && models.data.some((m: any) => m?.owned_by === "llamacpp");
+    if (props?.default_generation_settings == null && !servedByLlamaCpp) {
+      return null;
+    }
+    console.log(`detected llama.cpp at ${root}`);
+    return {
+      provider: "llama-cpp",
+      supportsLogprobs: "yes",
+      supportsPrefill: "yes",
+      supportsN: false,
+      nativeUrl: root,
+    };
+  });
+}
+
+/** Ollama's OpenAI-compatible API doesn't do raw completions or logprobs, so use its native API instead. */
+async function sniffOllama(baseUrl: string): Promise<ApiInfo | null> {
+  return await firstNativeRoot(baseUrl, async (root) => {
+    const version = await getJson(`${root}/api/version`);
+    const tags = version?.version == null ? await getJson(`${root}/api/tags`) : null;
+    if (typeof version?.version !== "string" && !Array.isArray(tags?.models)) {
+      return null;
+    }
+    console.log(`detected ollama ${version?.version ?? ""} at ${root}`);
+    return {
+      provider: "ollama",
+      supportsLogprobs: "yes",
+      supportsPrefill: "yes",
+      supportsN: false,
+      nativeUrl: root,
+      extraWarning: "Only recent versions of Ollama return logprobs, so update it if requests fail with missing logprobs.",
+    };
+  });
+}
+
+/**
+ * Native APIs are usually at the root of the server, and the base URL may point at their OpenAI shim under `/v1`. Runs
+ * `sniff` on each of those at once, and returns the first one's result that isn't null, preferring the root.
+ */
+async function firstNativeRoot(
+  baseUrl: string,
+  sniff: (root: string) => Promise<ApiInfo | null>
+): Promise<ApiInfo | null> {
+  const roots = baseUrl.endsWith("/v1") ? [baseUrl.slice(0, -"/v1".length), baseUrl] : [baseUrl];
+  const found = await Promise.all(roots.map(sniff));
+  return found.find((info) => info != null) ?? null;
+}
+
+async function getJson(url: string, apiKey?: string): Promise<any> {
+  try {
+    const response = await fetch(url, { headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : undefined });
+    return response.status === 200 ? await response.json() : null;
+  } catch (e) {
+    return null; // not JSON, or CORS
+  }
 }
 
 async function _sniffApi(baseUrl: string, apiKey: string): Promise<ApiInfo> {
@@ -155,6 +362,7 @@ async function _sniffApi(baseUrl: string, apiKey: string): Promise<ApiInfo> {
         supportsLogprobs: "no",
         supportsPrefill: "yes",
         prefillStyle: { kind: "trailing" },
+        supportsN: false,
       };
     }
   }
@@ -0,0 +1,311 @@
+// Headless entry point, for building trees in batch scripts. Run with `bun cli.ts`, or build it for node with
+// `npm run build-cli` and run `node out/logitloom.mjs`.
+
+import { readFile, writeFile } from "node:fs/promises";
+import { parseArgs } from "node:util";
+import OpenAI from "./openai";
+
+import {
+  buildTree,
+  chatRoles,
+  countNodes,
+  expandTree,
+  expansionStrategies,
+  treeModes,
+  type ChatMessage,
+  type ExpansionStrategy,
+  type Token,
+  type TreeMode,
+  type TreeOptions,
+  type Usage,
+} from "./logit-loom";
+import { sniffApi } from "./api-sniffer";
+import { compileConstraint } from "./constraint";
+import { recordingFetch, type Fixture } from "./record-fixture";
+import type { SerializedTree } from "./save-load";
+
+const helpText = `usage:
+  logitloom build --base-url URL --model MODEL [options] -o out.ll.json
+  logitloom expand --input in.ll.json --node ID --base-url URL --model MODEL [options] -o out.ll.json
+
+Model:
+  --base-url URL          OpenAI-compatible API base URL
+  --api-key KEY           defaults to $LOGITLOOM_API_KEY, then $OPENAI_API_KEY
+  --model MODEL           for expand, defaults to the input tree's model
+  --type chat|base        model type (default: chat)
+  --mock-corpus-file PATH for --base-url mock://ngram, the text the mock model is built from (default: a small
+                          bundled sample)
+
+Prompt (for expand, these default to the input tree's):
+  --system TEXT, --system-file PATH     system prompt (chat models only)
+  --messages-file PATH                  earlier turns of the conversation (chat models only), as a JSON array
+                                        of {"role": "system" | "user" | "assistant" | "tool", "content": "..."}
+  --prompt TEXT, --prompt-file PATH
+  --prefill TEXT, --prefill-file PATH
+
+Tree (defaults match the app):
+  --mode logprobs|sampling (logprobs)   --samples N (20)
+  --depth N (5)                         --width N (3)
+  --top-p PERCENT (80)                  --extra-pages N (0)
+  --min-path-prob PERCENT (0)           --stop SEQUENCE (repeatable)
+  --rollout N (0)                       --order depth-first|breadth-first|best-first (depth-first)
+  --regex PATTERN, --json-schema-file PATH
+                                        only keep tokens that keep the text (including the prefill) the
+                                        start of a match
+
+Run:
+  --concurrency N (1)    --max-requests N (0 = no limit)    --max-nodes N (0 = no limit)
+  --max-attempts N (5)   -o, --output PATH (default: stdout)
+  --verbose              log requests and responses to stderr
+  --record-fixture PATH  also write every response to PATH, as a test fixture for logit-loom.test.ts
+
+Press ctrl-c to stop early, and write the tree built so far.`;
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    "base-url": { type: "string" },
+    "api-key": { type: "string" },
+    model: { type: "string" },
+    type: { type: "string" },
+    "mock-corpus-file": { type: "string" },
+    system: { type: "string" },
+    "system-file": { type: "string" },
+    "messages-file": { type: "string" },
+    prompt: { type: "string" },
+    "prompt-file": { type: "string" },
+    prefill: { type: "string" },
+    "prefill-file": { type: "string" },
+    mode: { type: "string", default: "logprobs" },
+    samples: { type: "string", default: "20" },
+    depth: { type: "string", default: "5" },
+    width: { type: "string", default: "3" },
+    "top-p": { type: "string", default: "80" },
+    "extra-pages": { type: "string", default: "0" },
+    "min-path-prob": { type: "string", default: "0" },
+    stop: { type: "string", multiple: true, default: [] },
+    rollout: { type: "string", default: "0" },
+    order: { type: "string", default: "depth-first" },
+    regex: { type: "string" },
+    "json-schema-file": { type: "string" },
+    concurrency: { type: "string", default: "1" },
+    "max-requests": { type: "string", default: "0" },
+    "max-nodes": { type: "string", default: "0" },
+    "max-attempts": { type: "string", default: "5" },
+    input: { type: "string", short: "i" },
+    node: { type: "string" },
+    output: { type: "string", short: "o" },
+    verbose: { type: "boolean", default: false },
+    "record-fixture": { type: "string" },
+    help: { type: "boolean", short: "h", default: false },
+  },
+});
+
+const command = positionals[0];
+if (values.help || (command !== "build" && command !== "expand")) {
+  console.error(helpText);
+  process.exit(values.help ? 0 : 1);
+}
+
+try {
+  await main(command);
+} catch (e) {
+  console.error(`logitloom: ${e instanceof Error ? e.message : e}`);
+  process.exit(1);
+}
+
+async function main(command: "build" | "expand") {
+  const input = command === "expand" ? await readInput() : null;
+  const baseUrl = required("base-url", values["base-url"]);
+  const apiKey = values["api-key"] ?? process.env.LOGITLOOM_API_KEY ?? process.env.OPENAI_API_KEY ?? "";
+  const modelName = required("model", values.model ?? input?.modelName);
+  const modelType = oneOf("type", values.type ?? input?.modelSettings.kind ?? "chat", ["chat", "base"] as const);
+  const inputSettings = input?.modelSettings;
+  const systemPrompt =
+    (await textOrFile(values.system, values["system-file"])) ??
+    (inputSettings?.kind === "chat" ? inputSettings.systemPrompt : undefined);
+  const messages =
+    values["messages-file"] != null
+      ? await readMessages(values["messages-file"])
+      : inputSettings?.kind === "chat"
+        ? inputSettings.messages
+        : undefined;
+  const prompt = (await textOrFile(values.prompt, values["prompt-file"])) ?? inputSettings?.prompt;
+  const prefill = (await textOrFile(values.prefill, values["prefill-file"])) ?? inputSettings?.prefill;
+  const constraint =
+    values["json-schema-file"] != null
+      ? compileConstraint("json-schema", await readFile(values["json-schema-file"], "utf8"))
+      : values.regex != null
+        ? compileConstraint("regex", values.regex)
+        : undefined;
+
+  if (!values.verbose) {
+    // logit-loom logs every request and response, which is only useful when debugging
+    console.log = () => {};
+  } else {
+    console.log = console.error;
+  }
+
+  const abortController = new AbortController();
+  let interrupting = false;
+  process.on("SIGINT", () => {
+    if (interrupting) {
+      process.exit(130);
+    }
+    interrupting = true;
+    progressLine("stopping... (ctrl-c again to quit without writing the tree)");
+    abortController.abort();
+  });
+
+  const apiInfo = await sniffApi(baseUrl, apiKey);
+  const recordedOn = new Date().toISOString().slice(0, 10);
+  const fixture: Fixture = {
+    description: `Recorded from ${modelName} at ${baseUrl} (${apiInfo.provider}) on ${recordedOn}`,
+    modelType,
+    exchanges: [],
+  };
+  if (values["record-fixture"] != null) {
+    // native APIs are called with the global fetch, so record both that and the OpenAI client's
+    globalThis.fetch = recordingFetch(globalThis.fetch, fixture);
+  }
+
+  const usage: Usage = { requests: 0, promptTokens: 0, completionTokens: 0 };
+  const opts: TreeOptions = {
+    client: new OpenAI({
+      baseURL: baseUrl,
+      apiKey,
+      maxRetries: 0,
+      ...(values["record-fixture"] != null ? { fetch: globalThis.fetch } : {}),
+    }),
+    baseUrl,
+    apiInfo,
+    model: modelName,
+    modelType,
+    systemPrompt,
+    messages,
+    prompt,
+    prefill,
+    mode: oneOf<TreeMode>("mode", values.mode, treeModes),
+    samples: integer("samples", values.samples),
+    stopSequences: values.stop,
+    mockCorpus: values["mock-corpus-file"] != null ? await readFile(values["mock-corpus-file"], "utf8") : undefined,
+    depth: integer("depth", values.depth),
+    maxWidth: integer("width", values.width),
+    coverProb: number("top-p", values["top-p"]) / 100,
+    deepAlternativePages: integer("extra-pages", values["extra-pages"]),
+    minPathProb: number("min-path-prob", values["min-path-prob"]) / 100,
+    rolloutTokens: integer("rollout", values.rollout),
+    constraint,
+    concurrency: integer("concurrency", values.concurrency),
+    maxRequests: integer("max-requests", values["max-requests"]),
+    maxNodes: integer("max-nodes", values["max-nodes"]),
+    strategy: oneOf<ExpansionStrategy>("order", values.order, expansionStrategies),
+    maxAttempts: integer("max-attempts", values["max-attempts"]),
+    signal: abortController.signal,
+    onRetry: (retry) =>
+      progressLine(`attempt ${retry.attempt}/${retry.maxAttempts} failed, retrying in ${Math.round(retry.delayMs)}ms`),
+    onUsage: (used) => {
+      usage.requests += used.requests;
+      usage.promptTokens += used.promptTokens;
+      usage.completionTokens += used.completionTokens;
+    },
+    progress: (roots) => {
+      progressLine(`${countNodes(roots)} nodes, ${usage.requests} requests`);
+      return false; // ctrl-c aborts the signal instead
+    },
+  };
+
+  let roots: Token[];
+  if (input == null) {
+    roots = await buildTree(opts);
+  } else {
+    // expanding adds to the existing tree, so keep counting its usage
+    usage.requests += input.usage?.requests ?? 0;
+    usage.promptTokens += input.usage?.promptTokens ?? 0;
+    usage.completionTokens += input.usage?.completionTokens ?? 0;
+    roots = await expandTree(opts, input.roots, required("node", values.node));
+  }
+  progressLine(`${countNodes(roots)} nodes, ${usage.requests} requests, done\n`);
+
+  const serialized: SerializedTree = {
+    isLogitLoomTreeVersion: "logit-loom-tree-v1",
+    modelName,
+    modelSettings:
+      modelType === "chat"
+        ? { kind: "chat", systemPrompt, messages, prompt, prefill }
+        : { kind: "base", prompt, prefill },
+    roots,
+    usage,
+  };
+  if (values["record-fixture"] != null) {
+    await writeFile(values["record-fixture"], JSON.stringify(fixture, null, 2) + "\n");
+  }
+  const json = JSON.stringify(serialized, null, 2);
+  if (values.output != null) {
+    await writeFile(values.output, json);
+  } else {
+    process.stdout.write(json + "\n");
+  }
+}
+
+async function readInput(): Promise<SerializedTree> {
+  const path = required("input", values.input);
+  const data = JSON.parse(await readFile(path, "utf8"));
+  if ((data as SerializedTree).isLogitLoomTreeVersion !== "logit-loom-tree-v1") {
+    throw new Error(`${path} is not a logitloom tree`);
+  }
+  return data as SerializedTree;
+}
+
+async function readMessages(path: string): Promise<ChatMessage[]> {
+  const data = JSON.parse(await readFile(path, "utf8"));
+  const isMessage = (m: any) => chatRoles.includes(m?.role) && typeof m?.content === "string";
+  if (!Array.isArray(data) || !data.every(isMessage)) {
+    throw new Error(`${path} should be a JSON array of {"role": ..., "content": ...} messages`);
+  }
+  return data as ChatMessage[];
+}
+
+async function textOrFile(text: string | undefined, path: string | undefined): Promise<string | undefined> {
+  return path != null ? await readFile(path, "utf8") : text;
+}
+
+function required(name: string, value: string | undefined): string {
+  if (!value) {
+    throw new Error(`--${name} is required`);
+  }
+  return value;
+}
+
+function oneOf<T extends string>(name: string, value: string, options: readonly T[]): T {
+  const option = options.find((o) => o === value);
+  if (option == null) {
+    throw new Error(`--${name} must be one of ${options.join(", ")}`);
+  }
+  return option;
+}
+
+function number(name: string, value: string): number {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) {
+    throw new Error(`--${name} must be a number, got '${value}'`);
+  }
+  return n;
+}
+
+function integer(name: string, value: string): number {
+  const n = number(name, value);
+  if (!Number.isInteger(n)) {
+    throw new Error(`--${name} must be a whole number, got '${value}'`);
+  }
+  return n;
+}
+
+/** Overwrite the current line of stderr, if it's a terminal. */
+function progressLine(line: string) {
+  if (process.stderr.isTTY) {
+    process.stderr.write(`\r\x1b[K${line}`);
+  } else {
+    process.stderr.write(line.endsWith("\n") ? line : line + "\n");
+  }
+}
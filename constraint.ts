@@ -0,0 +1,478 @@
+// Constraints on the text of a tree, for exploring structured outputs. A constraint is a regex (or a JSON schema,
+// which is compiled to one), and tokens are only kept if the text so far is still the start of a match.
+//
+// JS regexes can't tell whether a string is a *prefix* of a match, so this compiles a subset of the regex syntax to an
+// NFA, and steps through it one character at a time.
+
+export const constraintKinds = ["none", "regex", "json-schema"] as const;
+export type ConstraintKind = (typeof constraintKinds)[number];
+
+/** The set of NFA states after matching some text. Opaque to everything but this module. */
+export type ConstraintState = ReadonlySet<number>;
+
+export interface Constraint {
+  /**
+   * Continue matching `text` from `from` (by default, the start of the constraint). Returns null if the text can't be
+   * part of a match.
+   */
+  match(text: string, from?: ConstraintState): ConstraintState | null;
+  /** True if the text matched so far is a complete match. */
+  isComplete(state: ConstraintState): boolean;
+  /** True if the text matched so far can be continued. (If not, and it's complete, there's nothing left to generate.) */
+  canContinue(state: ConstraintState): boolean;
+}
+
+/**
+ * Returns undefined for `kind: "none"`, or an empty source. Throws if the source isn't a valid (supported) regex or JSON
+ * schema.
+ */
+export function compileConstraint(kind: ConstraintKind, source: string): Constraint | undefined {
+  if (kind === "none" || source.trim() === "") {
+    return undefined;
+  } else if (kind === "regex") {
+    return compileRegex(source);
+  }
+  let schema: unknown;
+  try {
+    schema = JSON.parse(source);
+  } catch (e) {
+    throw new Error(`constraint: JSON schema isn't valid JSON: ${e instanceof Error ? e.message : e}`);
+  }
+  return compileRegex(jsonSchemaToRegex(schema));
+}
+
+// Regex
+
+type CharTest = (c: string) => boolean;
+
+type RegexNode =
+  | { type: "char"; test: CharTest }
+  | { type: "seq"; items: RegexNode[] }
+  | { type: "alt"; options: RegexNode[] }
+  | { type: "repeat"; item: RegexNode; min: number; max: number };
+
+interface NfaState {
+  /** States reachable without consuming a character. */
+  eps: number[];
+  /** If set, a character passing `test` moves to `to`. */
+  test?: CharTest;
+  to?: number;
+}
+
+/** Repeats are compiled by copying, so huge counts would blow up the NFA. */
+const maxRepeat = 1000;
+
+/**
+ * Supports literals and escapes, `.`, character classes (`[a-z]`, `[^"]`, `\d`, `\w`, `\s`...), groups, alternation,
+ * and the quantifiers `*`, `+`, `?` and `{m,n}`. The whole text has to match, so `^` and `$` are allowed but ignored.
+ * Lookarounds, backreferences and `\b` aren't supported.
+ */
+export function compileRegex(source: string): Constraint {
+  const ast = parseRegex(source);
+  const states: NfaState[] = [];
+  const newState = (): number => states.push({ eps: [] }) - 1;
+
+  // Thompson construction: each node compiles to a fragment with one start and one end state
+  const compile = (node: RegexNode): { start: number; end: number } => {
+    switch (node.type) {
+      case "char": {
+        const start = newState();
+        const end = newState();
+        states[start]!.test = node.test;
+        states[start]!.to = end;
+        return { start, end };
+      }
+      case "seq": {
+        const start = newState();
+        let end = start;
+        for (let item of node.items) {
+          const fragment = compile(item);
+          states[end]!.eps.push(fragment.start);
+          end = fragment.end;
+        }
+        return { start, end };
+      }
+      case "alt": {
+        const start = newState();
+        const end = newState();
+        for (let option of node.options) {
+          const fragment = compile(option);
+          states[start]!.eps.push(fragment.start);
+          states[fragment.end]!.eps.push(end);
+        }
+        return { start, end };
+      }
+      case "repeat": {
+        const start = newState();
+        let end = start;
+        for (let i = 0; i < node.min; i++) {
+          const fragment = compile(node.item);
+          states[end]!.eps.push(fragment.start);
+          end = fragment.end;
+        }
+        if (node.max === Infinity) {
+          const fragment = compile(node.item);
+          states[end]!.eps.push(fragment.start);
+          states[fragment.end]!.eps.push(end);
+          const loopEnd = newState();
+          states[end]!.eps.push(loopEnd);
+          end = loopEnd;
+        } else {
+          const optionalEnd = newState();
+          for (let i = node.min; i < node.max; i++) {
+            const fragment = compile(node.item);
+            states[end]!.eps.push(fragment.start, optionalEnd);
+            end = fragment.end;
+          }
+          states[end]!.eps.push(optionalEnd);
+          end = optionalEnd;
+        }
+        return { start, end };
+      }
+    }
+  };
+  const { start, end: accept } = compile(ast);
+
+  const closure = (from: Iterable<number>): Set<number> => {
+    const result = new Set<number>();
+    const stack = [...from];
+    while (stack.length) {
+      const state = stack.pop()!;
+      if (!result.has(state)) {
+        result.add(state);
+        stack.push(...states[state]!.eps);
+      }
+    }
+    return result;
+  };
+  const initial = closure([start]);
+
+  return {
+    match(text, from = initial) {
+      let current: ReadonlySet<number> = from;
+      for (let c of text) {
+        const next: number[] = [];
+        for (let state of current) {
+          const { test, to } = states[state]!;
+          if (test != null && to != null && test(c)) {
+            next.push(to);
+          }
+        }
+        if (next.length === 0) {
+          return null;
+        }
+        current = closure(next);
+      }
+      return current;
+    },
+    isComplete: (state) => state.has(accept),
+    canContinue: (state) => [...state].some((s) => states[s]!.test != null),
+  };
+}
+
+function parseRegex(source: string): RegexNode {
+  const chars = Array.from(source); // by code point, so emoji are one character
+  let pos = 0;
+
+  const error = (message: string) => new Error(`constraint: ${message} at position ${pos} of regex /${source}/`);
+  const peek = (): string | undefined => chars[pos];
+  const next = (): string => {
+    const c = chars[pos++];
+    if (c == null) {
+      throw error("unexpected end");
+    }
+    return c;
+  };
+
+  const parseAlt = (): RegexNode => {
+    const options = [parseSeq()];
+    while (peek() === "|") {
+      pos++;
+      options.push(parseSeq());
+    }
+    return options.length === 1 ? options[0]! : { type: "alt", options };
+  };
+
+  const parseSeq = (): RegexNode => {
+    const items: RegexNode[] = [];
+    while (pos < chars.length && peek() !== "|" && peek() !== ")") {
+      const atom = parseAtom();
+      if (atom != null) {
+        items.push(parseQuantifiers(atom));
+      }
+    }
+    return items.length === 1 ? items[0]! : { type: "seq", items };
+  };
+
+  const parseQuantifiers = (atom: RegexNode): RegexNode => {
+    while (true) {
+      const c = peek();
+      let min: number;
+      let max: number;
+      if (c === "*") {
+        [min, max] = [0, Infinity];
+        pos++;
+      } else if (c === "+") {
+        [min, max] = [1, Infinity];
+        pos++;
+      } else if (c === "?") {
+        [min, max] = [0, 1];
+        pos++;
+      } else if (c === "{") {
+        const braced = /^\{(\d+)(,(\d*))?\}/.exec(chars.slice(pos).join(""));
+        if (braced == null) {
+          return atom; // not a quantifier, so it's a literal brace
+        }
+        min = parseInt(braced[1]!);
+        max = braced[2] == null ? min : braced[3] ? parseInt(braced[3]) : Infinity;
+        if (max < min || Math.max(min, max === Infinity ? 0 : max) > maxRepeat) {
+          throw error(`bad repeat count ${braced[0]}`);
+        }
+        pos += braced[0].length;
+      } else {
+        return atom;
+      }
+      if (peek() === "?" || peek() === "+") {
+        pos++; // lazy / possessive doesn't change what can match
+      }
+      atom = { type: "repeat", item: atom, min, max };
+    }
+  };
+
+  const parseAtom = (): RegexNode | null => {
+    const c = next();
+    switch (c) {
+      case "(": {
+        if (peek() === "?") {
+          pos++;
+          const kind = next();
+          if (kind === "<" && peek() !== "=" && peek() !== "!") {
+            while (next() !== ">") {} // named group
+          } else if (kind !== ":") {
+            throw error("lookarounds aren't supported");
+          }
+        }
+        const inner = parseAlt();
+        if (peek() !== ")") {
+          throw error("missing )");
+        }
+        pos++;
+        return inner;
+      }
+      case ")":
+        throw error("unmatched )");
+      case "[":
+        return { type: "char", test: parseClass() };
+      case ".":
+        return { type: "char", test: (c) => c !== "\n" };
+      case "^":
+      case "$":
+        return null; // the whole text has to match anyway
+      case "*":
+      case "+":
+      case "?":
+        throw error(`nothing to repeat with ${c}`);
+      case "\\":
+        return { type: "char", test: parseEscape() };
+      default:
+        return { type: "char", test: (d) => d === c };
+    }
+  };
+
+  /** Parses the escape after a backslash. Returns a test for a single character. */
+  const parseEscape = (inClass: boolean = false): CharTest => {
+    const c = next();
+    const single = escapedChar(c);
+    if (single != null) {
+      return (d) => d === single;
+    }
+    switch (c) {
+      case "d":
+        return (d) => d >= "0" && d <= "9";
+      case "D":
+        return (d) => !(d >= "0" && d <= "9");
+      case "w":
+        return (d) => /\w/.test(d);
+      case "W":
+        return (d) => !/\w/.test(d);
+      case "s":
+        return (d) => /\s/.test(d);
+      case "S":
+        return (d) => !/\s/.test(d);
+      case "x":
+      case "u": {
+        const hex = c === "x" ? /^[0-9a-fA-F]{2}/ : peek() === "{" ? /^\{([0-9a-fA-F]+)\}/ : /^[0-9a-fA-F]{4}/;
+        const matched = hex.exec(chars.slice(pos).join(""));
+        if (matched == null) {
+          throw error(`bad \\${c} escape`);
+        }
+        pos += matched[0].length;
+        const char = String.fromCodePoint(parseInt(matched[1] ?? matched[0], 16));
+        return (d) => d === char;
+      }
+      case "b":
+      case "B":
+        if (!inClass) {
+          throw error("word boundaries aren't supported");
+        }
+        return (d) => d === "\b";
+      default:
+        if (/[0-9]/.test(c)) {
+          throw error("backreferences aren't supported");
+        }
+        return (d) => d === c; // escaped punctuation
+    }
+  };
+
+  /** Parses a character class, after the `[`. */
+  const parseClass = (): CharTest => {
+    const negated = peek() === "^";
+    if (negated) {
+      pos++;
+    }
+    const tests: CharTest[] = [];
+    let first = true;
+    while (peek() !== "]" || first) {
+      first = false;
+      let c = next();
+      let lowTest: CharTest;
+      let low: string | null = null;
+      if (c === "\\") {
+        const escapeStart = pos;
+        lowTest = parseEscape(true);
+        // ranges need a single character on each side
+        const escaped = chars[escapeStart]!;
+        low = escapedChar(escaped) ?? (/[dDwWsS]/.test(escaped) ? null : decodeEscape(chars, escapeStart, pos));
+      } else {
+        low = c;
+        lowTest = (d) => d === c;
+      }
+      if (peek() === "-" && chars[pos + 1] != null && chars[pos + 1] !== "]" && low != null) {
+        pos++;
+        let high = next();
+        if (high === "\\") {
+          const escapeStart = pos;
+          parseEscape(true);
+          const decoded = decodeEscape(chars, escapeStart, pos);
+          if (decoded == null) {
+            throw error("bad range in character class");
+          }
+          high = decoded;
+        }
+        const [from, to] = [low.codePointAt(0)!, high.codePointAt(0)!];
+        if (to < from) {
+          throw error("range out of order in character class");
+        }
+        tests.push((d) => d.codePointAt(0)! >= from && d.codePointAt(0)! <= to);
+      } else {
+        tests.push(lowTest);
+      }
+    }
+    pos++; // ]
+    return negated ? (d) => !tests.some((t) => t(d)) : (d) => tests.some((t) => t(d));
+  };
+
+  const ast = parseAlt();
+  if (pos < chars.length) {
+    throw error("unmatched )");
+  }
+  return ast;
+}
+
+/** The character for single-character escapes like `\n`, or null. */
+function escapedChar(c: string): string | null {
+  const escapes: Record<string, string> = { n: "\n", t: "\t", r: "\r", f: "\f", v: "\v", "0": "\0" };
+  return escapes[c] ?? null;
+}
+
+/** The single character an escape (from after the backslash, to `end`) stands for, or null if it's a class. */
+function decodeEscape(chars: string[], start: number, end: number): string | null {
+  const c = chars[start]!;
+  const single = escapedChar(c);
+  if (single != null) {
+    return single;
+  } else if (c === "x" || c === "u") {
+    const hex = chars
+      .slice(start + 1, end)
+      .join("")
+      .replace(/[{}]/g, "");
+    return String.fromCodePoint(parseInt(hex, 16));
+  } else if (/[dDwWsS]/.test(c)) {
+    return null;
+  }
+  return c;
+}
+
+// JSON schema
+
+const ws = "[ \\t\\n\\r]*";
+const jsonString = '"(?:[^"\\\\\\x00-\\x1f]|\\\\["\\\\/bfnrt]|\\\\u[0-9a-fA-F]{4})*"';
+const jsonInteger = "-?(?:0|[1-9][0-9]*)";
+const jsonNumber = `${jsonInteger}(?:\\.[0-9]+)?(?:[eE][+-]?[0-9]+)?`;
+const jsonScalar = `(?:${jsonString}|${jsonNumber}|true|false|null)`;
+
+/**
+ * Compile a (simple) JSON schema to a regex matching JSON text. Supports `type`, `enum`, `const`, `anyOf` / `oneOf`,
+ * object `properties` (which are all generated, in order), array `items`, and string `pattern` / `minLength` /
+ * `maxLength`. Regexes can't nest arbitrarily, so objects without `properties` must be empty, and anything without a
+ * type is a string, number, boolean or null.
+ */
+export function jsonSchemaToRegex(schema: unknown): string {
+  if (schema === true || (typeof schema === "object" && schema != null && Object.keys(schema).length === 0)) {
+    return jsonScalar;
+  } else if (typeof schema !== "object" || schema == null || Array.isArray(schema)) {
+    throw new Error(`constraint: unsupported JSON schema ${JSON.stringify(schema)}`);
+  }
+  const s = schema as Record<string, any>;
+
+  if ("const" in s) {
+    return escapeRegex(JSON.stringify(s.const));
+  } else if (Array.isArray(s.enum)) {
+    return `(?:${s.enum.map((value: unknown) => escapeRegex(JSON.stringify(value))).join("|")})`;
+  } else if (Array.isArray(s.anyOf ?? s.oneOf)) {
+    return `(?:${(s.anyOf ?? s.oneOf).map(jsonSchemaToRegex).join("|")})`;
+  } else if (Array.isArray(s.type)) {
+    return `(?:${s.type.map((type: unknown) => jsonSchemaToRegex({ ...s, type })).join("|")})`;
+  }
+
+  switch (s.type) {
+    case "string": {
+      if (typeof s.pattern === "string") {
+        return `"(?:${s.pattern.replace(/^\^/, "").replace(/\$$/, "")})"`;
+      }
+      const char = '(?:[^"\\\\\\x00-\\x1f]|\\\\["\\\\/bfnrt]|\\\\u[0-9a-fA-F]{4})';
+      if (s.minLength != null || s.maxLength != null) {
+        return `"${char}{${s.minLength ?? 0},${s.maxLength ?? ""}}"`;
+      }
+      return jsonString;
+    }
+    case "number":
+      return jsonNumber;
+    case "integer":
+      return jsonInteger;
+    case "boolean":
+      return "(?:true|false)";
+    case "null":
+      return "null";
+    case "array": {
+      const item = jsonSchemaToRegex(s.items ?? {});
+      return `\\[${ws}(?:${item}(?:${ws},${ws}${item})*)?${ws}\\]`;
+    }
+    case "object":
+    case undefined: {
+      if (s.type == null && s.properties == null) {
+        return jsonScalar;
+      }
+      const properties = Object.entries((s.properties ?? {}) as Record<string, unknown>).map(
+        ([key, value]) => `${escapeRegex(JSON.stringify(key))}${ws}:${ws}${jsonSchemaToRegex(value)}`
+      );
+      return `\\{${ws}${properties.join(`${ws},${ws}`)}${ws}\\}`;
+    }
+    default:
+      throw new Error(`constraint: unsupported JSON schema type ${JSON.stringify(s.type)}`);
+  }
+}
+
+function escapeRegex(text: string): string {
+  return text.replace(/[\\^$.|?*+()[\]{}]/g, "\\$&");
+}
@@ -1,11 +1,27 @@
-import React, { useEffect, useRef, useState, type JSX } from "react";
+import React, { useEffect, useMemo, useRef, useState, type JSX } from "react";
 import ReactDOM from "react-dom/client";
 import useLocalStorageState from "use-local-storage-state";
 import * as uuid from "uuid";
 
-import { type Token } from "./logit-loom";
+import {
+  chatRoles,
+  completedCharacters,
+  estimateMaxRequests,
+  expansionStrategies,
+  mergeEquivalentBranches,
+  parseStopSequences,
+  treeModes,
+  type ChatMessage,
+  type ExpansionStrategy,
+  type DistributionStats,
+  type RetryInfo,
+  type Token,
+  type TreeMode,
+  type Usage,
+} from "./logit-loom";
 import * as TreeStore from "./tree-store";
-import type { ApiInfo } from "./api-sniffer";
+import type { ApiInfo, PrefillStyle, ProbeResult } from "./api-sniffer";
+import { constraintKinds, type ConstraintKind } from "./constraint";
 
 const possibleModelTypes = ["chat", "base"] as const;
 type ModelType = (typeof possibleModelTypes)[number];
@@ -16,6 +32,25 @@ function coerceToModelType(maybeType: string | undefined): ModelType {
   }
   return "chat";
 }
+function coerceToTreeMode(maybeMode: string | undefined): TreeMode {
+  return treeModes.find((m) => m === maybeMode) ?? "logprobs";
+}
+
+/** Show the raw tokens, or merge branches that spell the same text with different tokenizations. */
+const treeViews = ["tokens", "text"] as const;
+type TreeView = (typeof treeViews)[number];
+function coerceToTreeView(maybeView: string | undefined): TreeView {
+  return treeViews.find((v) => v === maybeView) ?? "tokens";
+}
+
+function coerceToConstraintKind(maybeKind: string | undefined): ConstraintKind {
+  return constraintKinds.find((k) => k === maybeKind) ?? "none";
+}
+
+function coerceToExpansionStrategy(maybeStrategy: string | undefined): ExpansionStrategy {
+  return expansionStrategies.find((s) => s === maybeStrategy) ?? "depth-first";
+}
+
 interface ApiPreset {
   id: string;
   presetName: string;
@@ -23,6 +58,19 @@ interface ApiPreset {
   apiKey: string;
   modelName: string;
   modelType: ModelType;
+  /** Price per million prompt tokens, for estimating the cost of a tree. */
+  inputPrice?: number;
+  /** Price per million completion tokens. */
+  outputPrice?: number;
+}
+
+/** Prices of the current preset, if it has them and it's still the selected model. */
+function currentPrices(presets: ApiPreset[] | undefined, presetId: string, modelName: string | undefined) {
+  const preset = presets?.find((p) => p.id === presetId);
+  if (preset == null || preset.modelName !== modelName || preset.inputPrice == null || preset.outputPrice == null) {
+    return null;
+  }
+  return { input: preset.inputPrice, output: preset.outputPrice };
 }
 
 function App(): JSX.Element {
@@ -37,15 +85,49 @@ function App(): JSX.Element {
     defaultValue: apiPresets?.[0]?.id ?? "",
   });
 
+  const [mockCorpus, setMockCorpus] = useLocalStorageState<string>("mockCorpus");
+
   const [systemPrompt, setSystemPrompt] = useLocalStorageState<string>("lastSystemPrompt");
+  const [messages, setMessages] = useLocalStorageState<ChatMessage[]>("lastMessages", { defaultValue: [] });
   const [prompt, setPrompt] = useLocalStorageState<string>("lastPrompt");
   const [prefill, setPrefill] = useLocalStorageState<string>("lastPrefill");
 
+  const [_mode, setMode] = useLocalStorageState<string>("mode", { defaultValue: "logprobs" });
+  const mode = coerceToTreeMode(_mode);
+  const [samples, setSamples] = useLocalStorageState<number>("samples", { defaultValue: 20 });
+  const [stopSequences, setStopSequences] = useLocalStorageState<string>("stopSequences", { defaultValue: "" });
   const [depth, setDepth] = useLocalStorageState<number>("depth", { defaultValue: 5 });
   const [width, setWidth] = useLocalStorageState<number>("maxWidth", { defaultValue: 3 });
   const [coverProb, setCoverProb] = useLocalStorageState<number>("coverProb", { defaultValue: 0.8 });
+  const [deepAlternativePages, setDeepAlternativePages] = useLocalStorageState<number>("deepAlternativePages", {
+    defaultValue: 0,
+  });
+  const [minPathProb, setMinPathProb] = useLocalStorageState<number>("minPathProb", { defaultValue: 0 });
+  const [rolloutTokens, setRolloutTokens] = useLocalStorageState<number>("rolloutTokens", { defaultValue: 0 });
+  const [_constraintKind, setConstraintKind] = useLocalStorageState<string>("constraintKind", { defaultValue: "none" });
+  const constraintKind = coerceToConstraintKind(_constraintKind);
+  const [constraintSource, setConstraintSource] = useLocalStorageState<string>("constraintSource", {
+    defaultValue: "",
+  });
+  const [maxAttempts, setMaxAttempts] = useLocalStorageState<number>("maxAttempts", { defaultValue: 5 });
+  const [concurrency, setConcurrency] = useLocalStorageState<number>("concurrency", { defaultValue: 1 });
+  const [maxRequests, setMaxRequests] = useLocalStorageState<number>("maxRequests", { defaultValue: 0 });
+  const [maxNodes, setMaxNodes] = useLocalStorageState<number>("maxNodes", { defaultValue: 0 });
+  const [_strategy, setStrategy] = useLocalStorageState<string>("strategy", { defaultValue: "depth-first" });
+  const strategy = coerceToExpansionStrategy(_strategy);
+
+  const prices = currentPrices(apiPresets, currentPresetId, modelName);
+
+  const [_treeView, setTreeView] = useLocalStorageState<string>("treeView", { defaultValue: "tokens" });
+  const treeView = coerceToTreeView(_treeView);
 
   const store = TreeStore.useTreeStore();
+  const apiInfo = baseUrl ? TreeStore.getShownApiInfo(store, baseUrl, modelName, modelType) : undefined;
+  const roots = store.value.roots;
+  const shownRoots = useMemo(
+    () => (treeView === "text" ? mergeEquivalentBranches(roots ?? []) : (roots ?? [])),
+    [treeView, roots]
+  );
   const [foldedNodeIds, setFoldedNodeIds] = useLocalStorageState<string[]>("foldedNodes", { defaultValue: [] });
   useEffect(() => {
     TreeStore.loadTreeFromLocalStorage();
@@ -55,11 +137,23 @@ function App(): JSX.Element {
     <>
       <div className="sticky-footer">
         <div className="spinner" hidden={!store.running}></div>{" "}
+        {store.usage.requests > 0 && <UsageStatus usage={store.usage} prices={prices} />}{" "}
+        {store.cacheStats.lookups > 0 && (
+          <div className="cache-stats" title="Responses served from the query cache during this run.">
+            cache hits: {store.cacheStats.hits}/{store.cacheStats.lookups}
+          </div>
+        )}{" "}
+        {store.retrying != null && store.running && <RetryingStatus retrying={store.retrying} />}{" "}
+        {store.warnings.map((warning) => (
+          <div key={warning} className="run-warning">
+            {warning}
+          </div>
+        ))}{" "}
         {store.value.kind === "error" && !store.running && <div className="error">{store.value.error.toString()}</div>}
       </div>
       <Settings>
         <TextSetting label="Base URL" type="text" value={baseUrl} onChange={setBaseUrl} />{" "}
-        <TextSetting label="API Key" type="password" value={apiKey} onChange={setApiKey} />{" "}
+        <TextSetting label="API Key" type="password" optional value={apiKey} onChange={setApiKey} />{" "}
         <TextSetting label="Model" type="text" value={modelName} onChange={setModelName} />{" "}
         <DropdownSetting
           label="Type"
@@ -86,19 +180,58 @@ function App(): JSX.Element {
             setModelType(preset.modelType);
             setCurrentPresetId(preset.id);
           }}
-        />
-        {!!baseUrl && store.baseUrlApiInfoCache[baseUrl] != null && (
-          <ShowAPIWarning apiInfo={store.baseUrlApiInfoCache[baseUrl]} modelName={modelName} modelType={modelType} />
+        />{" "}
+        <button
+          disabled={!baseUrl || !modelName || store.running}
+          title="Send a few tiny requests to check whether this model returns logprobs and continues a prefill, and use the results for this base URL, model and type from now on."
+          onClick={() => {
+            if (!baseUrl || !modelName || store.running) {
+              return;
+            }
+            TreeStore.testConnection(store, { baseUrl, apiKey: apiKey ?? "", modelName, modelType, mockCorpus });
+          }}
+        >
+          Test connection
+        </button>
+        {baseUrl?.startsWith("mock://") && <MockCorpusSetting value={mockCorpus} onChange={setMockCorpus} />}
+        {apiInfo?.probe != null && <ShowProbeResult probe={apiInfo.probe} />}
+        {apiInfo != null && (
+          <ShowAPIWarning apiInfo={apiInfo} modelName={modelName} modelType={modelType} mode={mode} />
         )}
       </Settings>
       <hr />
       <Settings>
-        {modelType === "chat" && <PromptSetting label="System" value={systemPrompt} onChange={setSystemPrompt} />}{" "}
+        {modelType === "chat" && (
+          <>
+            <PromptSetting label="System" value={systemPrompt} onChange={setSystemPrompt} />{" "}
+            <MessagesSetting messages={messages} onChange={setMessages} />{" "}
+          </>
+        )}
         <PromptSetting label="Prompt" value={prompt} onChange={setPrompt} />{" "}
         <PromptSetting label="Prefill" value={prefill} onChange={setPrefill} />
       </Settings>
       <hr />
       <Settings>
+        <DropdownSetting
+          label="Mode"
+          tooltip='"logprobs" uses the logprobs returned by the API. "sampling" estimates the probabilities by sampling many completions instead, for providers without logprobs support. (Slower and more expensive!)'
+          options={treeModes.map((v) => ({ id: v, text: v }))}
+          value={mode}
+          onChange={setMode}
+        />{" "}
+        {mode === "sampling" && (
+          <>
+            <NumberSetting
+              label="Samples"
+              tooltip="How many one-token completions to sample for each node. More samples give better estimates, but cost more."
+              min={2}
+              max={200}
+              step={1}
+              value={samples}
+              onChange={setSamples}
+            />{" "}
+          </>
+        )}
         <NumberSetting
           label="Depth"
           tooltip="Expand this many tokens deep."
@@ -126,40 +259,190 @@ function App(): JSX.Element {
           value={(coverProb * 100) | 0}
           onChange={(v) => setCoverProb(v / 100)}
         />{" "}
+        {mode === "logprobs" && (
+          <>
+            <NumberSetting
+              label="Extra pages"
+              tooltip="If the API returns fewer logprobs than Max children (many cap it at 5 or 20), request each branch point again up to this many times, banning the alternatives already found with logit_bias to discover more. Needs an API that returns token ids, such as llama.cpp. 0 to disable."
+              min={0}
+              max={20}
+              step={1}
+              value={deepAlternativePages}
+              onChange={setDeepAlternativePages}
+            />{" "}
+          </>
+        )}
+        <NumberSetting
+          label="Min path P"
+          tooltip="Stop expanding a branch once the probability of the whole path from the root falls below this percentage. Use 'Expand from here' on a pruned node to expand it anyway."
+          min={0}
+          max={100}
+          step={0.1}
+          value={+(minPathProb * 100).toFixed(4)}
+          onChange={(v) => setMinPathProb(v / 100)}
+        />{" "}
+        <StopSequencesSetting value={stopSequences} onChange={setStopSequences} />{" "}
+        <NumberSetting
+          label="Rollout"
+          tooltip="After expanding, request a greedy continuation of this many tokens for each leaf, to preview where the branch is heading. One extra request per leaf. 0 to disable."
+          min={0}
+          max={500}
+          step={10}
+          value={rolloutTokens}
+          onChange={setRolloutTokens}
+        />{" "}
+        <ConstraintSetting
+          kind={constraintKind}
+          source={constraintSource}
+          onChangeKind={setConstraintKind}
+          onChangeSource={setConstraintSource}
+        />{" "}
+        <NumberSetting
+          label="Concurrency"
+          tooltip="Send up to this many requests at once while expanding. Raise this to build trees faster, if your provider's rate limits allow it."
+          min={1}
+          max={16}
+          step={1}
+          value={concurrency}
+          onChange={setConcurrency}
+        />{" "}
+        <NumberSetting
+          label="Max requests"
+          tooltip="Stop the run after sending this many requests, or 0 for no limit."
+          min={0}
+          max={1_000_000}
+          step={10}
+          value={maxRequests}
+          onChange={setMaxRequests}
+        />{" "}
+        <NumberSetting
+          label="Max nodes"
+          tooltip="Stop the run once the tree has this many nodes, or 0 for no limit. When expanding a node, only the nodes under it count."
+          min={0}
+          max={1_000_000}
+          step={10}
+          value={maxNodes}
+          onChange={setMaxNodes}
+        />{" "}
+        <NumberSetting
+          label="Max attempts"
+          tooltip="Try each request up to this many times before giving up on the run. Rate limits and server errors are retried with backoff."
+          min={1}
+          max={20}
+          step={1}
+          value={maxAttempts}
+          onChange={setMaxAttempts}
+        />{" "}
+        <DropdownSetting
+          label="Order"
+          tooltip='Which node to expand next. "best-first" expands the most likely paths first, so the tree is most useful if you stop the run early.'
+          options={expansionStrategies.map((v) => ({ id: v, text: v }))}
+          value={strategy}
+          onChange={setStrategy}
+        />{" "}
         <button
-          disabled={!baseUrl || !apiKey || !modelName || store.running}
+          disabled={!baseUrl || !modelName || store.running}
           onClick={() => {
-            if (!baseUrl || !apiKey || !modelName || store.running) {
+            if (!baseUrl || !modelName || store.running) {
               return;
             }
             TreeStore.run(store, {
               baseUrl,
-              apiKey,
+              apiKey: apiKey ?? "",
               modelName,
               modelType,
               systemPrompt,
+              messages,
               prompt,
               prefill,
+              mode,
+              samples,
+              stopSequences: parseStopSequences(stopSequences),
+              mockCorpus,
               depth,
               maxWidth: width,
               coverProb,
+              deepAlternativePages,
+              minPathProb,
+              rolloutTokens,
+              constraint: { kind: constraintKind, source: constraintSource },
+              maxAttempts,
+              concurrency,
+              maxRequests,
+              maxNodes,
+              strategy,
             });
           }}
         >
           Run
         </button>{" "}
+        <span
+          className="request-estimate"
+          title="The most requests this run could need, if every node has Max children children and nothing is cached."
+        >
+          ≤{" "}
+          {formatCount(
+            estimateMaxRequests({
+              depth,
+              maxWidth: width,
+              maxRequests,
+              rolloutTokens,
+              mode,
+              samples,
+              deepAlternativePages,
+              apiInfo,
+            })
+          )}{" "}
+          requests
+        </span>{" "}
         <button hidden={!store.running} disabled={store.interrupting} onClick={TreeStore.interruptRun}>
           {store.interrupting ? "Stopping..." : "Stop"}
         </button>
+        <ScoreWithModelButtonDialog
+          presets={apiPresets ?? []}
+          disabled={store.running || !store.value.roots?.length}
+          onScore={(preset) => {
+            TreeStore.scoreWithModel(store, {
+              baseUrl: preset.baseUrl,
+              apiKey: preset.apiKey,
+              modelName: preset.modelName,
+              modelType: preset.modelType,
+              systemPrompt,
+              messages,
+              prompt,
+              prefill,
+              mockCorpus,
+              maxAttempts,
+              concurrency,
+            });
+          }}
+        />{" "}
+        {store.scoredWith != null && <span className="scored-with">scored with {store.scoredWith}</span>}
         <SettingsSpacer />
+        <DropdownSetting
+          label="View"
+          tooltip='"tokens" shows the tree as the model generated it. "text" merges branches that spell the same text with different tokenizations (like "hel" + "lo" and "hello") into one node, adding up their probabilities.'
+          options={treeViews.map((v) => ({ id: v, text: v }))}
+          value={treeView}
+          onChange={setTreeView}
+        />{" "}
+        <button
+          disabled={store.running}
+          title="Forget all cached API responses, so the next run queries the API again."
+          onClick={TreeStore.clearQueryCache}
+        >
+          Clear cache
+        </button>
         <TreeSaveLoadClearButtons
           store={store}
+          prices={prices}
           modelName={modelName ?? ""}
           modelSettings={
             modelType === "chat"
               ? {
                   kind: modelType,
                   systemPrompt,
+                  messages,
                   prompt,
                   prefill,
                 }
@@ -176,6 +459,7 @@ function App(): JSX.Element {
             // setModelType(modelSettings.kind);
             if (modelSettings.kind === "chat") {
               setSystemPrompt(modelSettings.systemPrompt);
+              setMessages(modelSettings.messages ?? []);
             }
             setPrompt(modelSettings.prompt);
             setPrefill(modelSettings.prefill);
@@ -185,31 +469,45 @@ function App(): JSX.Element {
       <hr />
       <div id="tree-container">
         <Tree
-          roots={store.value.roots ?? []}
+          roots={shownRoots}
           foldedNodeIds={foldedNodeIds}
           setFoldedNodeIds={setFoldedNodeIds}
-          onClickAddPrefill={(id) => {
-            const newPrefill = TreeStore.getTokenAndPrefix(store, id);
+          onClickAddPrefill={(id, withRollout) => {
+            const newPrefill = TreeStore.getTokenAndPrefix(store, id, withRollout);
             if (newPrefill !== null) {
               setPrefill((prefill ?? "") + newPrefill);
             }
           }}
-          expandDisabled={!baseUrl || !apiKey || !modelName || store.running}
+          expandDisabled={!baseUrl || !modelName || store.running}
           onClickExpandFromHere={(id) => {
-            if (!baseUrl || !apiKey || !modelName || store.running) {
+            if (!baseUrl || !modelName || store.running) {
               return;
             }
             TreeStore.run(store, {
               baseUrl,
-              apiKey,
+              apiKey: apiKey ?? "",
               modelName,
               modelType,
               systemPrompt,
+              messages,
               prompt,
               prefill,
+              mode,
+              samples,
+              stopSequences: parseStopSequences(stopSequences),
+              mockCorpus,
               depth,
               maxWidth: width,
               coverProb,
+              deepAlternativePages,
+              minPathProb,
+              rolloutTokens,
+              constraint: { kind: constraintKind, source: constraintSource },
+              maxAttempts,
+              concurrency,
+              maxRequests,
+              maxNodes,
+              strategy,
               fromNodeId: id,
             });
           }}
@@ -219,13 +517,17 @@ function App(): JSX.Element {
   );
 }
 
+function formatCount(n: number): string {
+  return n < 1e9 ? n.toLocaleString() : n.toExponential(1);
+}
+
 // Tree UI
 
 function Tree(props: {
   roots: Token[];
   foldedNodeIds: string[];
   setFoldedNodeIds: (ids: string[]) => void;
-  onClickAddPrefill: (id: string) => void;
+  onClickAddPrefill: (id: string, withRollout: boolean) => void;
   expandDisabled: boolean;
   onClickExpandFromHere: (id: string) => void;
 }): JSX.Element {
@@ -265,7 +567,7 @@ const TreeNode = React.memo(function TreeNode({
   foldedNodeIds: string[];
   setFoldedNodeIds: (ids: string[]) => void;
   parentHasShortDownLine?: boolean;
-  onClickAddPrefill: (id: string) => void;
+  onClickAddPrefill: (id: string, withRollout: boolean) => void;
   expandDisabled: boolean;
   onClickExpandFromHere: (id: string) => void;
 }): JSX.Element {
@@ -278,7 +580,7 @@ const TreeNode = React.memo(function TreeNode({
   // 2. parent does have a short down line, but this is the first child
   const hasLeftLine = parents.length === 0 ? false : parentHasShortDownLine ? siblings[0] === node : true;
 
-  const recoveredEmoji = tryRecoverBrokenEmoji([...parents, node]);
+  const recoveredEmoji = completedCharacters([...parents, node]);
 
   const isFolded = foldedNodeIds.includes(node.id);
 
@@ -289,16 +591,65 @@ const TreeNode = React.memo(function TreeNode({
         "tree-node" +
         (hasDownLine ? " has-down-line" : "") +
         (hasShortDownLine ? " has-short-down-line" : "") +
-        (hasLeftLine ? " has-left-line" : "")
+        (hasLeftLine ? " has-left-line" : "") +
+        (node.pruned ? " pruned" : "") +
+        (node.other ? " other" : "")
       }
     >
       <div className="tree-node-info">
         <span className="token">{node.children.length ? <strong>{text}</strong> : text}</span>{" "}
+        {node.rollout != null && (
+          <span className="rollout" title={`Greedy rollout: ${node.rollout}`}>
+            {node.rollout.replaceAll("\n", "↵")}
+          </span>
+        )}{" "}
         {recoveredEmoji ? <span className="token-utf8">utf8: {recoveredEmoji.trim()}</span> : ""}{" "}
-        <span className="prob">({(node.prob * 100).toFixed(2)}%)</span>{" "}
+        {node.stats != null && node.children.length > 0 && <DistributionStatsChip stats={node.stats} />}
+        <span className="prob" title={node.empirical ? "Estimated by sampling" : undefined}>
+          ({node.empirical ? "≈" : ""}
+          {(node.prob * 100).toFixed(2)}%)
+        </span>{" "}
+        {node.secondaryLogprob !== undefined && (
+          <>
+            <SecondaryProbChip logprob={node.logprob} secondaryLogprob={node.secondaryLogprob} />{" "}
+          </>
+        )}
+        {node.secondaryMerged && (
+          <>
+            <span
+              className="secondary"
+              title="The second model tokenized this text differently, and its token continues into the next one, so this token's probability is counted there."
+            >
+              2nd: merged into next →
+            </span>{" "}
+          </>
+        )}
         <span className="extra">
           [{node.logprob.toFixed(4)}]{" "}
           {node.branchFinished != null && node.children.length === 0 && `<|${node.branchFinished}|>`}
+          {node.mergedCount != null && (
+            <span title={`${node.mergedCount} branches with different tokenizations of this text, merged.`}>
+              ×{node.mergedCount}{" "}
+            </span>
+          )}
+          {node.page != null && (
+            <span title={`Beyond the API's logprobs limit, found on page ${node.page + 1} using logit_bias.`}>
+              p{node.page + 1}{" "}
+            </span>
+          )}
+          {node.filteredProb != null && (
+            <span title="Probability of this token's children that don't match the constraint, so they were cut off.">
+              ⊘ {(node.filteredProb * 100).toFixed(2)}% filtered{" "}
+            </span>
+          )}
+          {node.pruned && (
+            <span title="Path probability is below Min path P, so this node wasn't expanded.">✂️ pruned</span>
+          )}
+          {node.other && (
+            <span title="Probability of the alternatives that aren't shown. The API may not have returned all of them.">
+              {node.other.hiddenCount > 0 ? `${node.other.hiddenCount} hidden, maybe more` : "not returned"}
+            </span>
+          )}
         </span>{" "}
         {node.children.length > 0 && (
           <button
@@ -313,17 +664,36 @@ const TreeNode = React.memo(function TreeNode({
             {isFolded ? "↕️" : "🤏"}
           </button>
         )}{" "}
-        <button className="node-button add-prefill" title="Add to prefill" onClick={() => onClickAddPrefill(node.id)}>
-          📥
-        </button>{" "}
-        <button
-          className="node-button expand-from-here"
-          disabled={expandDisabled}
-          title="Expand tree from here"
-          onClick={() => onClickExpandFromHere(node.id)}
-        >
-          🌱
-        </button>{" "}
+        {!node.other && (
+          <>
+            <button
+              className="node-button add-prefill"
+              title="Add to prefill"
+              onClick={() => onClickAddPrefill(node.id, false)}
+            >
+              📥
+            </button>{" "}
+            {node.rollout != null && (
+              <>
+                <button
+                  className="node-button add-prefill-with-rollout"
+                  title="Add to prefill, with the rollout"
+                  onClick={() => onClickAddPrefill(node.id, true)}
+                >
+                  📜
+                </button>{" "}
+              </>
+            )}
+            <button
+              className="node-button expand-from-here"
+              disabled={expandDisabled}
+              title="Expand tree from here"
+              onClick={() => onClickExpandFromHere(node.id)}
+            >
+              🌱
+            </button>{" "}
+          </>
+        )}
       </div>
       {!!node.children.length && !isFolded && (
         <ol>
@@ -347,6 +717,24 @@ const TreeNode = React.memo(function TreeNode({
   );
 });
 
+/** Chip summarizing how uncertain the model was when picking this node's children. */
+function DistributionStatsChip({ stats }: { stats: DistributionStats }): JSX.Element {
+  // a small margin between the top two children means the model could have gone either way
+  const isDecisionPoint = stats.margin < 0.25;
+  return (
+    <span
+      className={"stats" + (isDecisionPoint ? " decision-point" : "")}
+      title={
+        `Children: entropy ${stats.entropy.toFixed(3)} bits, ` +
+        `top-1 minus top-2 margin ${(stats.margin * 100).toFixed(2)}%, ` +
+        `${(stats.coveredMass * 100).toFixed(2)}% of the probability returned by the API`
+      }
+    >
+      H {stats.entropy.toFixed(2)} · Δ {(stats.margin * 100).toFixed(0)}%
+    </span>
+  );
+}
+
 // Settings components
 
 function Settings(props: { children?: React.ReactNode | undefined }): JSX.Element {
@@ -360,25 +748,29 @@ function SettingsSpacer(): JSX.Element {
 function TextSetting(props: {
   label: string;
   type: "text" | "password";
+  /** If true, don't highlight the setting when it's empty. */
+  optional?: boolean;
   value: string | undefined;
   onChange: (value: string) => void;
 }): JSX.Element {
   return (
-    <label style={!props.value ? { color: "rgb(128, 32, 32)" } : {}}>
-      <span>{props.label}:</span> <TextSettingInput value={props.value} type={props.type} onChange={props.onChange} />
+    <label style={!props.value && !props.optional ? { color: "rgb(128, 32, 32)" } : {}}>
+      <span>{props.label}:</span>{" "}
+      <TextSettingInput value={props.value} type={props.type} optional={props.optional} onChange={props.onChange} />
     </label>
   );
 }
 
 function TextSettingInput(props: {
   type: "text" | "password";
+  optional?: boolean;
   value: string | undefined;
   onChange: (value: string) => void;
 }): JSX.Element {
   return (
     <input
-      style={!props.value ? { backgroundColor: "rgb(228, 50, 50)" } : {}}
-      placeholder="(required)"
+      style={!props.value && !props.optional ? { backgroundColor: "rgb(228, 50, 50)" } : {}}
+      placeholder={props.optional ? "(optional)" : "(required)"}
       type={props.type}
       value={props.value}
       autoCapitalize="off"
@@ -401,6 +793,115 @@ function PromptSetting(props: {
   );
 }
 
+/** The text the `mock://ngram` model is built from. */
+function MockCorpusSetting(props: { value: string | undefined; onChange: (value: string) => void }): JSX.Element {
+  return (
+    <label className="mock-corpus-setting">
+      <span>Mock corpus:</span>{" "}
+      <textarea
+        placeholder="Text for the mock model to learn from. Leave empty to use a small bundled sample."
+        value={props.value}
+        onChange={(e) => props.onChange(e.target.value)}
+      />{" "}
+      <span>
+        <Tooltip tooltip="mock://ngram is a tiny n-gram model built from this text, right in your browser, so you can try logitloom without an API key. It's deterministic: the same settings always build the same tree. Add ?order=N to the base URL to change how many tokens it looks at (default 3). For chat, messages are written as Q: / A: lines." />
+      </span>
+    </label>
+  );
+}
+
+/** Earlier turns of a chat conversation, sent between the system prompt and the prompt. */
+function MessagesSetting(props: { messages: ChatMessage[]; onChange: (messages: ChatMessage[]) => void }): JSX.Element {
+  const update = (index: number, message: ChatMessage) =>
+    props.onChange(props.messages.map((m, i) => (i === index ? message : m)));
+  return (
+    <div className="messages-setting">
+      {props.messages.map((message, index) => (
+        <div className="chat-message" key={index}>
+          <DropdownSettingSelect
+            options={chatRoles.map((role) => ({ id: role, text: role }))}
+            value={message.role}
+            onChange={(role) => update(index, { ...message, role: chatRoles.find((r) => r === role) ?? "user" })}
+          />
+          <textarea value={message.content} onChange={(e) => update(index, { ...message, content: e.target.value })} />
+          <button title="Remove message" onClick={() => props.onChange(props.messages.filter((_, i) => i !== index))}>
+            ✕
+          </button>
+        </div>
+      ))}
+      <button
+        title="Add an earlier turn of the conversation. Messages are sent in order after the system prompt, then the prompt (if it isn't empty), then the prefill."
+        onClick={() => {
+          // alternate turns, since that's what conversations usually look like
+          const role = props.messages.at(-1)?.role === "user" ? "assistant" : "user";
+          props.onChange([...props.messages, { role, content: "" }]);
+        }}
+      >
+        Add message
+      </button>
+    </div>
+  );
+}
+
+function StopSequencesSetting(props: { value: string; onChange: (value: string) => void }): JSX.Element {
+  return (
+    <label>
+      <span>Stop sequences:</span>{" "}
+      <input
+        type="text"
+        placeholder="e.g. \n\n, </answer>"
+        value={props.value}
+        autoCapitalize="off"
+        autoCorrect="off"
+        onChange={(e) => props.onChange(e.target.value)}
+      />{" "}
+      <span>
+        <Tooltip tooltip="Comma-separated. A branch ends once its text (including the prefill) contains any of these, and they're sent to the API as stop sequences. Spaces around each one are ignored. Write \n for a newline, \, for a comma and \\ for a backslash, and put a \ before a space to keep it." />
+      </span>
+    </label>
+  );
+}
+
+function ConstraintSetting(props: {
+  kind: ConstraintKind;
+  source: string;
+  onChangeKind: (kind: string) => void;
+  onChangeSource: (source: string) => void;
+}): JSX.Element {
+  return (
+    <label className={props.kind === "json-schema" ? "constraint-setting json-schema" : "constraint-setting"}>
+      <span>Constraint:</span>{" "}
+      <DropdownSettingSelect
+        options={constraintKinds.map((k) => ({ id: k, text: k }))}
+        value={props.kind}
+        onChange={props.onChangeKind}
+      />{" "}
+      {props.kind === "regex" && (
+        <input
+          type="text"
+          placeholder="e.g. The answer is [A-D]\."
+          value={props.source}
+          autoCapitalize="off"
+          autoCorrect="off"
+          spellCheck={false}
+          onChange={(e) => props.onChangeSource(e.target.value)}
+        />
+      )}
+      {props.kind === "json-schema" && (
+        <textarea
+          placeholder='e.g. {"type": "object", "properties": {"answer": {"enum": ["yes", "no"]}}}'
+          value={props.source}
+          spellCheck={false}
+          onChange={(e) => props.onChangeSource(e.target.value)}
+        />
+      )}{" "}
+      <span>
+        <Tooltip tooltip="Only keep tokens that keep the text so far (including the prefill) the start of a match, e.g. to explore structured outputs. The probability of the tokens cut off is shown on their parent. The whole text has to match, and only the alternatives the API returned are checked, so raise Max children if too few match." />
+      </span>
+    </label>
+  );
+}
+
 const Tooltip = (props: { tooltip: string }) => <abbr title={props.tooltip}>(?)</abbr>;
 
 function NumberSetting(props: {
@@ -464,6 +965,103 @@ function DropdownSettingSelect(props: {
   );
 }
 
+/** The probability a second model gave this token (see "Score with model"), and whether it's higher or lower. */
+function SecondaryProbChip({
+  logprob,
+  secondaryLogprob,
+}: {
+  logprob: number;
+  secondaryLogprob: number | null;
+}): JSX.Element {
+  if (secondaryLogprob == null) {
+    return (
+      <span className="secondary lower" title="The second model didn't rank this token among its top logprobs.">
+        2nd: not in top ▼
+      </span>
+    );
+  }
+  const diff = secondaryLogprob - logprob;
+  // within a factor of ~1.6 either way counts as agreeing
+  const direction = diff > 0.5 ? "higher" : diff < -0.5 ? "lower" : "same";
+  return (
+    <span
+      className={"secondary " + direction}
+      title={`Second model: [${secondaryLogprob.toFixed(4)}], ${diff >= 0 ? "+" : ""}${diff.toFixed(4)} vs. this tree's logprob`}
+    >
+      2nd: {(Math.exp(secondaryLogprob) * 100).toFixed(2)}%{" "}
+      {direction === "higher" ? "▲" : direction === "lower" ? "▼" : "="}
+    </span>
+  );
+}
+
+// "Score with model" dialog
+
+function ScoreWithModelButtonDialog(props: {
+  presets: ApiPreset[];
+  disabled: boolean;
+  onScore: (preset: ApiPreset) => void;
+}): JSX.Element {
+  const modal = useRef<HTMLDialogElement | null>(null);
+  const [presetId, setPresetId] = useState<string | null>(null);
+  const preset = props.presets.find((p) => p.id === presetId) ?? props.presets[0];
+
+  return (
+    <>
+      <button
+        disabled={props.disabled}
+        title="Score the tokens of this tree under a second model, to compare its probabilities with this tree's."
+        onClick={() => {
+          modal.current?.showModal();
+        }}
+      >
+        Score with model…
+      </button>
+
+      <dialog
+        id="score-with-model"
+        ref={modal}
+        onCancel={() => {
+          modal.current?.close();
+        }}
+      >
+        <header>
+          <strong>Score with model</strong>
+          <button
+            onClick={() => {
+              modal.current?.close();
+            }}
+          >
+            ✕
+          </button>
+        </header>
+        <main>
+          {preset == null ? (
+            <p>Add the model to score with as a preset first, with the Edit presets button.</p>
+          ) : (
+            <>
+              <DropdownSetting
+                label="Preset"
+                tooltip="Base models score each path in one request, using echo. Chat models need a request for each expanded node, and only score tokens in their top 20 logprobs."
+                options={props.presets.map((p) => ({ id: p.id, text: p.presetName }))}
+                value={preset.id}
+                onChange={setPresetId}
+              />{" "}
+              <button
+                onClick={() => {
+                  modal.current?.close();
+                  props.onScore(preset);
+                }}
+              >
+                Score
+              </button>
+            </>
+          )}
+        </main>
+      </dialog>
+    </>
+  );
+}
+
 // "Edit presets" dialog components
 
 function EditPresetsButtonDialog(props: {
@@ -562,6 +1160,8 @@ function EditPresetsButtonDialog(props: {
           <span>API Key</span>
           <span>Model</span>
           <span>Type</span>
+          <span title="Price per million prompt tokens (optional)">Input price / M</span>
+          <span title="Price per million completion tokens (optional)">Output price / M</span>
           <span></span>
           {presets.map((preset) => (
             <EditPresetsDialogRow
@@ -586,7 +1186,7 @@ function EditPresetsDialogRow(props: {
   onChange: (newPreset: ApiPreset) => void;
   deletePreset: () => void;
 }): JSX.Element {
-  const { presetName, baseUrl, apiKey, modelName, modelType } = props.preset;
+  const { presetName, baseUrl, apiKey, modelName, modelType, inputPrice, outputPrice } = props.preset;
   return (
     <>
       <TextSettingInput
@@ -605,6 +1205,7 @@ function EditPresetsDialogRow(props: {
       />
       <TextSettingInput
         type="password"
+        optional
         value={apiKey}
         onChange={(newApiKey) => {
           props.onChange({ ...props.preset, apiKey: newApiKey });
@@ -624,6 +1225,18 @@ function EditPresetsDialogRow(props: {
           props.onChange({ ...props.preset, modelType: coerceToModelType(newModelType) });
         }}
       />
+      <PriceSettingInput
+        value={inputPrice}
+        onChange={(newInputPrice) => {
+          props.onChange({ ...props.preset, inputPrice: newInputPrice });
+        }}
+      />
+      <PriceSettingInput
+        value={outputPrice}
+        onChange={(newOutputPrice) => {
+          props.onChange({ ...props.preset, outputPrice: newOutputPrice });
+        }}
+      />
       <button
         onClick={() => {
           props.deletePreset();
@@ -635,16 +1248,60 @@ function EditPresetsDialogRow(props: {
   );
 }
 
+function PriceSettingInput(props: {
+  value: number | undefined;
+  onChange: (value: number | undefined) => void;
+}): JSX.Element {
+  return (
+    <input
+      type="number"
+      min={0}
+      step="any"
+      placeholder="(optional)"
+      value={props.value ?? ""}
+      onChange={(e) => {
+        const value = parseFloat(e.target.value);
+        props.onChange(isNaN(value) ? undefined : value);
+      }}
+    />
+  );
+}
+
+// Sticky footer status
+
+function UsageStatus({ usage, prices }: { usage: Usage; prices: TreeStore.Prices | null }): JSX.Element {
+  return (
+    <div className="usage" title="Usage of the requests that built this tree. Cached responses aren't counted.">
+      {usage.requests.toLocaleString()} requests, {usage.promptTokens.toLocaleString()} prompt +{" "}
+      {usage.completionTokens.toLocaleString()} completion tokens
+      {prices != null && <> (≈{TreeStore.estimateCost(usage, prices).toFixed(4)})</>}
+    </div>
+  );
+}
+
+function RetryingStatus({ retrying }: { retrying: RetryInfo }): JSX.Element {
+  const reason =
+    retrying.status === 429 ? "Waiting for rate limit" : `Request failed (${retrying.status ?? "network"})`;
+  const seconds = Math.ceil(retrying.delayMs / 1000);
+  return (
+    <div className="retrying">
+      {reason}, retrying in {seconds}s (attempt {retrying.attempt + 1}/{retrying.maxAttempts})...
+    </div>
+  );
+}
+
 // Api warning text (detected provider etc)
 
 function ShowAPIWarning({
   apiInfo,
   modelName,
   modelType,
+  mode,
 }: {
   apiInfo: ApiInfo;
   modelName?: string;
   modelType: "chat" | "base";
+  mode: TreeMode;
 }): JSX.Element {
   const modelIsSupported =
     apiInfo.onlySupportsModels == null || !modelName || apiInfo.onlySupportsModels.includes(modelName);
@@ -657,10 +1314,10 @@ function ShowAPIWarning({
         : "This provider may not support assistant prefill for some/all models (tagged 'unknown')"
     );
   }
-  if (apiInfo.supportsLogprobs !== "yes") {
+  if (apiInfo.supportsLogprobs !== "yes" && mode === "logprobs") {
     warnings.push(
       apiInfo.supportsLogprobs === "no"
-        ? "This provider doesn't support logprobs, which are required by LogitLoom"
+        ? "This provider doesn't support logprobs, which are required by LogitLoom unless you switch Mode to sampling"
         : "This provider may not support logprobs for some/all models (tagged 'unknown')"
     );
   }
@@ -671,7 +1328,10 @@ function ShowAPIWarning({
     warnings.push(apiInfo.extraWarning);
   }
 
-  const sev = apiInfo.supportsPrefill === "no" || apiInfo.supportsLogprobs === "no" ? "❌ Critical" : "⚠️ Warning";
+  const sev =
+    apiInfo.supportsPrefill === "no" || (apiInfo.supportsLogprobs === "no" && mode === "logprobs")
+      ? "❌ Critical"
+      : "⚠️ Warning";
 
   return warnings.length === 0 ? (
     <div></div>
@@ -686,10 +1346,41 @@ function ShowAPIWarning({
   );
 }
 
+/** What "Test connection" found. Hover for the result of each prefill style. */
+function ShowProbeResult({ probe }: { probe: ProbeResult }): JSX.Element {
+  const prefill = probe.prefill.find((p) => p.worked);
+  const details = probe.prefill.map(
+    (p) =>
+      `${describePrefillStyle(p.style)}: ${p.worked ? "continued the prefill" : (p.error ?? "ignored the prefill")}`
+  );
+  return (
+    <div className="probe-result" title={details.join("\n")}>
+      <small>
+        Tested {probe.model} {new Date(probe.testedAt).toLocaleString()}:{" "}
+        {probe.logprobs > 0 ? `${probe.logprobs} logprobs per token` : "no logprobs"}
+        {probe.modelType === "chat" &&
+          (prefill != null ? `, prefill works (${describePrefillStyle(prefill.style)})` : ", prefill doesn't work")}
+        .
+      </small>
+    </div>
+  );
+}
+
+function describePrefillStyle(style: PrefillStyle | null): string {
+  if (style == null) {
+    return "native API";
+  } else if (style.kind === "trailing") {
+    return "trailing assistant message";
+  } else {
+    return `${Object.keys(style.flags).join(", ")} on the ${style.target}`;
+  }
+}
+
 // Export / Load / Clear Tree buttons
 
 function TreeSaveLoadClearButtons(props: {
   store: TreeStore.State;
+  prices: TreeStore.Prices | null;
   modelName: string;
   modelSettings: TreeStore.SerializedModelSettings;
   importSettings: (modelName: string, modelSettings: TreeStore.SerializedModelSettings) => void;
@@ -700,6 +1391,7 @@ function TreeSaveLoadClearButtons(props: {
       <SaveButton
         disabled={props.store.running}
         store={props.store}
+        prices={props.prices}
         modelName={props.modelName}
         modelSettings={props.modelSettings}
       />
@@ -711,6 +1403,7 @@ function TreeSaveLoadClearButtons(props: {
 
 function SaveButton(props: {
   store: TreeStore.State;
+  prices: TreeStore.Prices | null;
   disabled: boolean;
   modelName: string;
   modelSettings: TreeStore.SerializedModelSettings;
@@ -719,7 +1412,7 @@ function SaveButton(props: {
     <button
       disabled={props.disabled}
       onClick={() => {
-        TreeStore.saveTree(props.store, props.modelName, props.modelSettings);
+        TreeStore.saveTree(props.store, props.modelName, props.modelSettings, props.prices);
       }}
     >
       Save
@@ -766,59 +1459,6 @@ function ClearButton(props: { disabled: boolean }): JSX.Element {
   );
 }
 
-// Broken UTF-8 chip helpers
-
-/**
- * Try to fix broken emoji sequences, e.g. { text: "\\x20\\xf0\\x9f\\x8c", ... },
- * which may be spread over multiple tokens.
- **/
-function tryRecoverBrokenEmoji(tokens: Token[]): string | null {
-  if (!tokens.length || !looksLikeEscapedUtf8(tokens.at(-1)!.text, false)) {
-    return null;
-  }
-
-  const mask = tokens.map((t) => looksLikeEscapedUtf8(t.text, false));
-  // token position where every token after looks like broken utf-8
-  // [false, true, false, true, true]
-  //                      ^ start
-  const start = mask.findIndex((_, idx) => mask.slice(idx, mask.length).every((v) => v));
-
-  for (let i = start; i < tokens.length; i++) {
-    const joined = tokens
-      .slice(start, tokens.length)
-      .map((t) => t.text)
-      .join("");
-    if (looksLikeEscapedUtf8(joined, true)) {
-      const decoded = decodeEscapedUtf8(joined);
-      if (decoded != null) {
-        return decoded;
-      }
-    }
-  }
-  return null;
-}
-
-function looksLikeEscapedUtf8(s: string, strict: boolean): boolean {
-  const wholeEscape = s.match(/^(\\x[0-9a-fA-F]{2})+$/g) !== null;
-  if (strict) {
-    return wholeEscape;
-  }
-  // also allow \\x -> aa split escapes
-  return wholeEscape || s.match(/^((\\x)?[0-9a-fA-F]{1,2}|\\x)$/g) !== null;
-}
-
-function decodeEscapedUtf8(s: string): string | null {
-  let rawBytes = "";
-  s.replace(/\\x([0-9A-Fa-f]{2})/g, (_, hex) => (rawBytes += String.fromCharCode(parseInt(hex, 16))));
-
-  const bytes = Uint8Array.from(rawBytes, (c) => c.charCodeAt(0));
-  try {
-    return new TextDecoder("utf-8", { fatal: true }).decode(bytes);
-  } catch (_) {
-    return null;
-  }
-}
-
 // Mount app
 
 document.addEventListener("DOMContentLoaded", () => {
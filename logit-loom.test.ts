@@ -0,0 +1,804 @@
+import { afterEach, beforeEach, describe, expect, test, vi } from "vitest";
+import OpenAI from "./openai";
+
+import { sniffApi } from "./api-sniffer";
+import { compileConstraint, compileRegex, jsonSchemaToRegex, type Constraint } from "./constraint";
+import {
+  buildTree,
+  countNodes,
+  estimateMaxRequests,
+  expandTree,
+  mergeEquivalentBranches,
+  parseStopSequences,
+  scoreTree,
+  type Token,
+  type TreeOptions,
+} from "./logit-loom";
+import { exchangeKey, matchesExchange, recordingFetch, type Fixture } from "./record-fixture";
+import cappedTopLogprobs from "./fixtures/capped-top-logprobs.json";
+import chatContent from "./fixtures/chat-content.json";
+import chatCompletionLogprobs from "./fixtures/chat-completion-logprobs.json";
+import completionTopLogprobs from "./fixtures/completion-top-logprobs.json";
+import echoRetokenized from "./fixtures/echo-retokenized.json";
+import finishOnly from "./fixtures/finish-only.json";
+import llamaCppNative from "./fixtures/llama-cpp-native.json";
+import ollamaNative from "./fixtures/ollama-native.json";
+import stopSequences from "./fixtures/stop-sequences.json";
+import unexpectedLength from "./fixtures/unexpected-length.json";
+
+/** A `fetch` that answers from `fixture`, and records the prompt (base models) or prefill (chat) of each request. */
+function replayFetch(fixture: Fixture, sent: string[]): typeof fetch {
+  return async (_url, init) => {
+    const key = exchangeKey(fixture.modelType, JSON.parse(String(init?.body)));
+    const exchange = key != null ? fixture.exchanges.find((e) => matchesExchange(e, key)) : undefined;
+    if (key == null || exchange == null) {
+      const error = { message: `no response in the fixture for ${JSON.stringify(key)}` };
+      return new Response(JSON.stringify({ error }), { status: 400, headers: { "content-type": "application/json" } });
+    }
+    sent.push(fixture.modelType === "chat" ? key.prefill : key.prompt);
+    return new Response(JSON.stringify(exchange.response), { headers: { "content-type": "application/json" } });
+  };
+}
+
+function treeOptions(fixture: Fixture, sent: string[], opts: Partial<TreeOptions>): TreeOptions {
+  return {
+    client: new OpenAI({
+      baseURL: "https://replay.invalid/v1",
+      apiKey: "test",
+      maxRetries: 0,
+      fetch: replayFetch(fixture, sent),
+    }),
+    baseUrl: "https://replay.invalid/v1",
+    apiInfo: { provider: "unknown", supportsLogprobs: "yes", supportsPrefill: "yes" },
+    model: "test-model",
+    modelType: fixture.modelType,
+    mode: "logprobs",
+    samples: 20,
+    stopSequences: [],
+    depth: 2,
+    maxWidth: 2,
+    coverProb: 1,
+    deepAlternativePages: 0,
+    rolloutTokens: 0,
+    minPathProb: 0,
+    concurrency: 1,
+    maxRequests: 0,
+    maxNodes: 0,
+    strategy: "depth-first",
+    maxAttempts: 1,
+    progress: () => false,
+    ...opts,
+  };
+}
+
+/** Options for a provider's native API, which is called with the global `fetch`, so that answers from `fixture`. */
+function nativeTreeOptions(
+  fixture: Fixture,
+  sent: string[],
+  provider: "llama-cpp" | "ollama",
+  opts: Partial<TreeOptions>
+): TreeOptions {
+  vi.stubGlobal("fetch", replayFetch(fixture, sent));
+  return treeOptions(fixture, sent, {
+    baseUrl: "https://replay.invalid/v1",
+    apiInfo: {
+      provider,
+      supportsLogprobs: "yes",
+      supportsPrefill: "yes",
+      supportsN: false,
+      nativeUrl: "https://replay.invalid",
+    },
+    ...opts,
+  });
+}
+
+/** One line per node, indented by depth: its text, probability, and how its branch finished (if it did). */
+function shape(tokens: Token[], indent = ""): string[] {
+  return tokens.flatMap((t) => [
+    `${indent}${JSON.stringify(t.text)} ${t.prob.toFixed(2)}` +
+      (t.branchFinished != null ? ` ${t.branchFinished}` : "") +
+      (t.other != null ? ` (${t.other.hiddenCount} hidden)` : ""),
+    ...shape(t.children, indent + "  "),
+  ]);
+}
+
+let nextTokenId = 0;
+
+/** A token for a hand-built tree. Its bytes are read from `text`. */
+function token(text: string, prob: number, children: Token[] = []): Token {
+  return { id: String(nextTokenId++), text, logprob: Math.log(prob), prob, branchFinished: null, children };
+}
+
+/** The total probability of each text the tree spells, from the roots to each node. */
+function textProbs(tokens: Token[], prefix = "", prob = 1, probs = new Map<string, number>()): Map<string, number> {
+  for (let t of tokens) {
+    probs.set(prefix + t.text, (probs.get(prefix + t.text) ?? 0) + prob * t.prob);
+    textProbs(t.children, prefix + t.text, prob * t.prob, probs);
+  }
+  return probs;
+}
+
+beforeEach(() => {
+  // logit-loom logs every request and response
+  vi.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  vi.unstubAllGlobals();
+});
+
+describe("chat-style content logprobs", () => {
+  test("builds a tree, limited to maxWidth", async () => {
+    const sent: string[] = [];
+    const roots = await buildTree(treeOptions(chatContent as Fixture, sent, { prompt: "Pick a color." }));
+    expect(shape(roots)).toEqual([
+      `"Blue" 0.60`,
+      `  "." 0.95`,
+      `  "!" 0.04`,
+      `  "…other" 0.01 (0 hidden)`,
+      `"Red" 0.30`,
+      `  "." 0.90`,
+      `  "," 0.09`,
+      `  "…other" 0.01 (0 hidden)`,
+      `"…other" 0.10 (1 hidden)`,
+    ]);
+    // the chosen token's branch comes back two tokens deep, so only the other one needs another request
+    expect(sent).toEqual(["", "Red"]);
+    expect(roots[0]!.bytes).toEqual([66, 108, 117, 101]);
+  });
+
+  test("expands a node in place, limited to coverProb", async () => {
+    const sent: string[] = [];
+    const opts = treeOptions(chatContent as Fixture, sent, { prompt: "Pick a color." });
+    const roots = await buildTree(opts);
+    const built = shape(roots);
+
+    const expanded = await expandTree({ ...opts, coverProb: 0.9 }, roots, roots[0]!.id);
+    expect(shape(expanded)).toEqual([
+      `"Blue" 0.60`,
+      `  "." 0.95`,
+      `    " It" 0.50`,
+      `    "\\n" 0.40`,
+      `    "…other" 0.10 (0 hidden)`,
+      `  "…other" 0.05 (1 hidden)`,
+      ...built.slice(4),
+    ]);
+    expect(sent).toEqual(["", "Red", "Blue"]);
+    expect(shape(roots)).toEqual(built);
+  });
+
+  test("sends tool messages as user turns, since they'd need the id of a tool call", async () => {
+    const sent: string[] = [];
+    const opts = treeOptions(chatContent as Fixture, sent, {
+      messages: [
+        { role: "user", content: "What's your favorite color?" },
+        { role: "tool", content: "favorite_color() = blue" },
+      ],
+      prompt: "Pick a color.",
+      depth: 1,
+    });
+    const create = vi.spyOn(opts.client.chat.completions, "create");
+    await buildTree(opts);
+    expect(create.mock.calls[0]![0].messages).toEqual([
+      { role: "user", content: "What's your favorite color?" },
+      { role: "user", content: "Tool result:\nfavorite_color() = blue" },
+      { role: "user", content: "Pick a color." },
+    ]);
+  });
+
+  test("expands a pruned node, but still prunes below it by the path probability from the root", async () => {
+    const sent: string[] = [];
+    const opts = treeOptions(chatContent as Fixture, sent, { prompt: "Pick a color.", minPathProb: 0.5 });
+    const roots = await buildTree(opts);
+    expect(roots[1]).toMatchObject({ text: "Red", pruned: true, children: [] });
+    expect(sent).toEqual([""]);
+
+    const expanded = await expandTree(opts, roots, roots[1]!.id);
+    // "Red." is 0.3 * 0.9 from the root, so it's pruned too, even though it's likely after "Red"
+    expect(expanded[1]).toMatchObject({ text: "Red", pruned: false });
+    expect(expanded[1]!.children[0]).toMatchObject({ text: ".", pruned: true, children: [] });
+    expect(sent).toEqual(["", "Red"]);
+  });
+});
+
+describe("completion-style top_logprobs", () => {
+  test("builds a tree from a base model", async () => {
+    const sent: string[] = [];
+    const roots = await buildTree(treeOptions(completionTopLogprobs as Fixture, sent, { prompt: "The sky is" }));
+    expect(shape(roots)).toEqual([
+      `" blue" 0.80`,
+      `  "." 0.70`,
+      `  "," 0.25`,
+      `  "…other" 0.05 (0 hidden)`,
+      `" clear" 0.15`,
+      `  "." 0.60`,
+      `  " and" 0.30`,
+      `  "…other" 0.10 (0 hidden)`,
+      `"…other" 0.05 (0 hidden)`,
+    ]);
+    expect(sent).toEqual(["The sky is", "The sky is clear"]);
+    // completions don't return bytes, so they're recovered from the text
+    expect(roots[0]!.bytes).toEqual([32, 98, 108, 117, 101]);
+  });
+
+  test("are read from chat completions too", async () => {
+    const sent: string[] = [];
+    const roots = await buildTree(
+      treeOptions(chatCompletionLogprobs as Fixture, sent, { prompt: "Is water wet?", depth: 1 })
+    );
+    expect(shape(roots)).toEqual([`"Yes" 0.90`, `"No" 0.08`, `"…other" 0.02 (0 hidden)`]);
+    expect(sent).toEqual([""]);
+  });
+});
+
+describe("recording fixtures", () => {
+  // the fixtures are still hand-written, so at least check that recorded ones replay to the same tree
+  test("records the OpenAI API's responses", async () => {
+    const recorded: Fixture = { description: "recorded", modelType: "chat", exchanges: [] };
+    const opts = treeOptions(chatContent as Fixture, [], { prompt: "Pick a color." });
+    const client = new OpenAI({
+      baseURL: "https://replay.invalid/v1",
+      apiKey: "test",
+      maxRetries: 0,
+      fetch: recordingFetch(replayFetch(chatContent as Fixture, []), recorded),
+    });
+    const roots = await buildTree({ ...opts, client });
+    expect(recorded.exchanges.map((e) => e.prefill)).toEqual(["", "Red"]);
+
+    const replayed = await buildTree(treeOptions(recorded, [], { prompt: "Pick a color." }));
+    expect(shape(replayed)).toEqual(shape(roots));
+  });
+
+  test("records native APIs' responses", async () => {
+    const recorded: Fixture = { description: "recorded", modelType: "base", exchanges: [] };
+    const prompt = "Coffee or tea? I'd take";
+    const opts = nativeTreeOptions(llamaCppNative as Fixture, [], "llama-cpp", { prompt });
+    vi.stubGlobal("fetch", recordingFetch(globalThis.fetch, recorded));
+    const roots = await buildTree(opts);
+    expect(recorded.exchanges.map((e) => e.prompt)).toEqual([prompt, `${prompt} coffee`]);
+
+    const replayed = await buildTree(nativeTreeOptions(recorded, [], "llama-cpp", { prompt }));
+    expect(shape(replayed)).toEqual(shape(roots));
+  });
+});
+
+describe("native APIs", () => {
+  test("llama.cpp's /completion, in both of its logprobs formats", async () => {
+    const sent: string[] = [];
+    const prompt = "Coffee or tea? I'd take";
+    const roots = await buildTree(nativeTreeOptions(llamaCppNative as Fixture, sent, "llama-cpp", { prompt }));
+    expect(shape(roots)).toEqual([
+      `" tea" 0.60`,
+      `  "." 0.70`,
+      `  "," 0.20`,
+      `  "…other" 0.10 (0 hidden)`,
+      `" coffee" 0.30`,
+      `  "," 0.60`,
+      `  "." 0.30`,
+      `  "…other" 0.10 (0 hidden)`,
+      `"…other" 0.10 (0 hidden)`,
+    ]);
+    expect(sent).toEqual([prompt, prompt + " coffee"]);
+    expect(roots[0]!.tokenId).toBe(15600);
+    expect(roots[0]!.bytes).toEqual([32, 116, 101, 97]);
+  });
+
+  test("Ollama's /api/chat, continuing the prefill as an assistant message", async () => {
+    const sent: string[] = [];
+    const roots = await buildTree(
+      nativeTreeOptions(ollamaNative as Fixture, sent, "ollama", { prompt: "Name a planet." })
+    );
+    expect(shape(roots)).toEqual([
+      `"Mars" 0.50`,
+      `  "." 0.95`,
+      `  "!" 0.04`,
+      `  "…other" 0.01 (0 hidden)`,
+      `"J" 0.30`,
+      `  "upiter" 0.99 stop`,
+      `  "upyter" 0.01`,
+      `"…other" 0.20 (0 hidden)`,
+    ]);
+    expect(sent).toEqual(["", "J"]);
+  });
+});
+
+describe("extra pages", () => {
+  test("find alternatives past the API's cap, at every node", async () => {
+    const sent: string[] = [];
+    const opts = treeOptions(cappedTopLogprobs as Fixture, sent, {
+      prompt: "Pick a letter.",
+      // as "Test connection" finds for an API that returns token ids
+      apiInfo: { provider: "unknown", supportsLogprobs: "yes", supportsPrefill: "yes", returnsTokenIds: true },
+      maxWidth: 3,
+      deepAlternativePages: 1,
+    });
+    const create = vi.spyOn(opts.client.chat.completions, "create");
+    const roots = await buildTree(opts);
+    expect(shape(roots)).toEqual([
+      `"A" 0.70`,
+      `  "." 0.50`,
+      `  "!" 0.30`,
+      `  "?" 0.10`,
+      `  "…other" 0.10 (0 hidden)`,
+      `"B" 0.20 stop`,
+      `"C" 0.06 stop`,
+      `"…other" 0.04 (1 hidden)`,
+    ]);
+    expect(roots[2]!.page).toBe(1);
+    expect(roots[0]!.children[2]!.page).toBe(1);
+    // "A"'s children aren't taken from the first response, since only its first position could be paged
+    expect(sent).toEqual(["", "", "A", "A", "B", "C"]);
+    expect(create.mock.calls.map(([body]) => body.max_tokens)).toEqual([1, 1, 1, 1, 1, 1]);
+  });
+
+  test("only page the first position, and warn, if the API might not return token ids", async () => {
+    const sent: string[] = [];
+    const warnings: string[] = [];
+    const opts = treeOptions(completionTopLogprobs as Fixture, sent, {
+      prompt: "The sky is",
+      maxWidth: 3,
+      deepAlternativePages: 1,
+      onWarning: (warning) => warnings.push(warning),
+    });
+    const create = vi.spyOn(opts.client.completions, "create");
+    await buildTree(opts);
+    expect(sent).toEqual(["The sky is", "The sky is clear"]);
+    expect(create.mock.calls.map(([body]) => body.max_tokens)).toEqual([2, 1]);
+    expect(warnings).toContain("Can't find more alternatives, the API didn't return token ids");
+  });
+});
+
+describe("finish-only responses", () => {
+  test("finish the chosen token's branch, or the leaf that was queried", async () => {
+    const sent: string[] = [];
+    const roots = await buildTree(treeOptions(finishOnly as Fixture, sent, { prompt: "Say hi." }));
+    expect(shape(roots)).toEqual([`"Hi" 0.70 stop`, `"Hello" 0.30 stop`]);
+    expect(sent).toEqual(["", "Hello"]);
+  });
+
+  test("only finish the last chosen token of a longer response", async () => {
+    const sent: string[] = [];
+    const roots = await buildTree(treeOptions(finishOnly as Fixture, sent, { prompt: "Say A B." }));
+    expect(shape(roots)).toEqual([
+      `"A" 0.99`,
+      `  " B" 0.60 stop`,
+      `  " C" 0.30`,
+      `  "…other" 0.10 (0 hidden)`,
+      `"…other" 0.01 (0 hidden)`,
+    ]);
+    expect(sent).toEqual([""]);
+  });
+
+  test("add a finished root if the first request stops right away", async () => {
+    const sent: string[] = [];
+    const roots = await buildTree(treeOptions(finishOnly as Fixture, sent, { prompt: "Say nothing." }));
+    expect(shape(roots)).toEqual([`"<|stop|>" 1.00 stop`]);
+    expect(sent).toEqual([""]);
+  });
+});
+
+describe("stop sequences", () => {
+  test("finish the token that completes one, even if the API says it stopped", async () => {
+    const sent: string[] = [];
+    const opts = { prompt: "The cat", stopSequences: [" on"] };
+    const roots = await buildTree(treeOptions(stopSequences as Fixture, sent, opts));
+    expect(shape(roots)).toEqual([
+      `" sat" 0.70`,
+      `  " on" 0.80 stop_sequence`,
+      `  " down" 0.15`,
+      `  "…other" 0.05 (0 hidden)`,
+      `" is" 0.20`,
+      `  " here" 0.50`,
+      `  " asleep" 0.40`,
+      `  "…other" 0.10 (0 hidden)`,
+      `"…other" 0.10 (0 hidden)`,
+    ]);
+    expect(sent).toEqual(["The cat", "The cat is"]);
+  });
+
+  test("don't finish a token the text was cut short of, but do finish natural stops", async () => {
+    const sent: string[] = [];
+    const opts = { prompt: "The dog", stopSequences: [" away"] };
+    const roots = await buildTree(treeOptions(stopSequences as Fixture, sent, opts));
+    // the text stopped before " a", the start of " away", so " a" could still be " about"
+    expect(shape(roots)).toEqual([
+      `" ran" 0.60`,
+      `  " a" 0.70`,
+      `  " off" 0.20`,
+      `  "…other" 0.10 (0 hidden)`,
+      `" barked" 0.30`,
+      `  "." 0.80 stop`,
+      `  " loudly" 0.20`,
+      `"…other" 0.10 (0 hidden)`,
+    ]);
+    expect(sent).toEqual(["The dog", "The dog barked"]);
+  });
+
+  test("are parsed from the setting, trimming unescaped whitespace", () => {
+    expect(parseStopSequences("\\n\\n, </answer>")).toEqual(["\n\n", "</answer>"]);
+    expect(parseStopSequences(" a b ,,\\,, \\\\ ")).toEqual(["a b", ",", "\\"]);
+    expect(parseStopSequences("\\ on, end\\ \\t ,  ")).toEqual([" on", "end \t"]);
+  });
+});
+
+describe("constraints", () => {
+  /** Whether `text` is the start of a match, a complete match, and can be continued, or null if it's neither. */
+  const matches = (constraint: Constraint, text: string) => {
+    const state = constraint.match(text);
+    return state && { complete: constraint.isComplete(state), canContinue: constraint.canContinue(state) };
+  };
+
+  test("regexes match prefixes, and know when a match is complete", () => {
+    const answer = compileRegex("The answer is [A-D]\\.");
+    expect(matches(answer, "")).toEqual({ complete: false, canContinue: true });
+    expect(matches(answer, "The ans")).toEqual({ complete: false, canContinue: true });
+    expect(matches(answer, "The answer is C")).toEqual({ complete: false, canContinue: true });
+    expect(matches(answer, "The answer is C.")).toEqual({ complete: true, canContinue: false });
+    expect(matches(answer, "The answer is E")).toBeNull();
+    expect(matches(answer, "The answer is C.!")).toBeNull();
+
+    const number = compileRegex("^-?\\d+(?:\\.\\d{1,2})?$");
+    expect(matches(number, "-")).toEqual({ complete: false, canContinue: true });
+    expect(matches(number, "42")).toEqual({ complete: true, canContinue: true });
+    expect(matches(number, "4.20")).toEqual({ complete: true, canContinue: false });
+    expect(matches(number, "4.205")).toBeNull();
+  });
+
+  test("regexes continue matching from an earlier state", () => {
+    const yesNo = compileRegex("(yes|no)!?");
+    const state = yesNo.match("ye")!;
+    expect(yesNo.isComplete(yesNo.match("s", state)!)).toBe(true);
+    expect(yesNo.match("o", state)).toBeNull();
+  });
+
+  test("regexes agree with RegExp on complete matches", () => {
+    const sources = ["a(b|cd)*e", "[^x]{2,3}y?", "\\w+@\\w+\\.(com|org)", "(a|ab)(c|bcd)", "\\s*[+-]?\\d*"];
+    const texts = ["ae", "abcdbe", "abx", "zzy", "zzzz", "me@x.org", "me@x.net", "abcd", "ac", " -12", "", "+"];
+    for (const source of sources) {
+      const constraint = compileRegex(source);
+      const regex = new RegExp(`^(?:${source})$`);
+      for (const text of texts) {
+        const state = constraint.match(text);
+        expect(state != null && constraint.isComplete(state), `${source} on ${JSON.stringify(text)}`).toBe(
+          regex.test(text)
+        );
+      }
+    }
+  });
+
+  test("unsupported regexes throw", () => {
+    expect(() => compileRegex("a(?=b)")).toThrow();
+    expect(() => compileRegex("(a)\\1")).toThrow();
+    expect(() => compileRegex("(a")).toThrow();
+  });
+
+  test("JSON schemas match JSON text", () => {
+    const person = compileRegex(
+      jsonSchemaToRegex({
+        type: "object",
+        properties: {
+          name: { type: "string" },
+          age: { type: "integer" },
+          tags: { type: "array", items: { enum: ["a", "b"] } },
+        },
+      })
+    );
+    expect(matches(person, JSON.stringify({ name: 'Bo "B"', age: 3, tags: ["a", "b"] }))).toEqual({
+      complete: true,
+      canContinue: false,
+    });
+    expect(matches(person, '{ "name": "Bo", "age": -3, "tags": [] }')?.complete).toBe(true);
+    expect(matches(person, '{"name":"B')).toEqual({ complete: false, canContinue: true });
+    expect(matches(person, '{"name":"Bo","age":3.5')).toBeNull();
+    expect(matches(person, '{"age":3')).toBeNull(); // properties are generated in order
+    expect(matches(person, '{"name":"Bo","age":3,"tags":["c"')).toBeNull();
+
+    const short = compileConstraint("json-schema", '{"type": "string", "maxLength": 2}')!;
+    expect(matches(short, '"ab"')?.complete).toBe(true);
+    expect(matches(short, '"abc')).toBeNull();
+  });
+
+  test("compileConstraint ignores empty sources, and throws on invalid ones", () => {
+    expect(compileConstraint("none", "a+")).toBeUndefined();
+    expect(compileConstraint("regex", "  ")).toBeUndefined();
+    expect(() => compileConstraint("json-schema", "{")).toThrow(/isn't valid JSON/);
+    expect(() => compileConstraint("json-schema", '{"type": "date"}')).toThrow(/unsupported/);
+  });
+
+  test("filter the tree's alternatives, and finish branches that complete a match", async () => {
+    const sent: string[] = [];
+    const constraint = compileConstraint("regex", "(Blue|Red)\\.")!;
+    const roots = await buildTree(treeOptions(chatContent as Fixture, sent, { prompt: "Pick a color.", constraint }));
+    expect(shape(roots)).toEqual([
+      `"Blue" 0.60`,
+      `  "." 0.95 constraint`,
+      `  "…other" 0.01 (0 hidden)`,
+      `"Red" 0.30`,
+      `  "." 0.90 constraint`,
+      `  "…other" 0.01 (0 hidden)`,
+      `"…other" 0.05 (0 hidden)`,
+    ]);
+    // "!" and "," were cut off, and "Green" too, but the roots have no parent to show it on
+    expect(roots[0]!.filteredProb).toBeCloseTo(0.04);
+    expect(roots[1]!.filteredProb).toBeCloseTo(0.09);
+    expect(sent).toEqual(["", "Red"]);
+  });
+
+  test("only fail the run if they filter out every root", async () => {
+    const mock = treeOptions(finishOnly as Fixture, [], {
+      baseUrl: "mock://ngram",
+      apiInfo: { provider: "mock", supportsLogprobs: "yes", supportsPrefill: "yes" },
+      modelType: "base",
+      prompt: "The cat",
+    });
+    // with no alternatives to filter, there are just no roots, with or without a constraint
+    expect(await buildTree({ ...mock, maxWidth: 0 })).toEqual([]);
+    expect(await buildTree({ ...mock, maxWidth: 0, constraint: compileRegex(" sat") })).toEqual([]);
+    await expect(buildTree({ ...mock, constraint: compileRegex("!") })).rejects.toThrow(/match the constraint/);
+  });
+});
+
+describe("finish_reason=length", () => {
+  test("doesn't finish the chosen token, but counts as a stop without logprobs", async () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    const sent: string[] = [];
+    const prompt = "Q: Is the answer yes?\nA:";
+    const roots = await buildTree(treeOptions(unexpectedLength as Fixture, sent, { prompt }));
+    expect(shape(roots)).toEqual([`" Yes" 0.90 stop`, `" No" 0.08 no_alternatives`, `"…other" 0.02 (0 hidden)`]);
+    expect(sent).toEqual([prompt, prompt + " Yes", prompt + " No"]);
+    expect(warn).toHaveBeenCalledWith("unexpected finish_reason=length!");
+  });
+});
+
+describe("scoring by echo", () => {
+  // the tree has "hel" + "lo", where the second model has "hello"
+  const tree = (): Token[] => [
+    {
+      id: "hel",
+      text: "hel",
+      bytes: [104, 101, 108],
+      logprob: -0.5,
+      prob: Math.exp(-0.5),
+      branchFinished: null,
+      children: [
+        {
+          id: "lo",
+          text: "lo",
+          bytes: [108, 111],
+          logprob: -0.1,
+          prob: Math.exp(-0.1),
+          branchFinished: null,
+          children: [],
+        },
+      ],
+    },
+  ];
+
+  test("counts a token towards the node it ends in, and marks the nodes it runs through", async () => {
+    const sent: string[] = [];
+    const roots = await scoreTree(treeOptions(echoRetokenized as Fixture, sent, { prompt: "Say " }), tree());
+    expect(roots[0]!.secondaryLogprob).toBeUndefined();
+    expect(roots[0]!.secondaryMerged).toBe(true);
+    expect(roots[0]!.children[0]!.secondaryLogprob).toBe(-1.0);
+    expect(sent).toEqual(["Say hello"]);
+  });
+
+  test("measures text in code points, like the API's offsets", async () => {
+    const sent: string[] = [];
+    const roots = await scoreTree(treeOptions(echoRetokenized as Fixture, sent, { prompt: "Say 👋 " }), tree());
+    expect(roots[0]!.secondaryMerged).toBe(true);
+    // not -3.0, with the "!" generated after the path
+    expect(roots[0]!.children[0]!.secondaryLogprob).toBe(-1.0);
+    expect(sent).toEqual(["Say 👋 hello"]);
+  });
+
+  test("only scores each node in the first path through it", async () => {
+    // "hel" runs into "hello", but not into "help"
+    const roots = tree();
+    roots[0]!.children.push({ ...roots[0]!.children[0]!, id: "p", text: "p", bytes: [112] });
+    const sent: string[] = [];
+    const scored = await scoreTree(treeOptions(echoRetokenized as Fixture, sent, { prompt: "Say " }), roots);
+    expect(scored[0]!.secondaryMerged).toBe(true);
+    expect(scored[0]!.secondaryLogprob).toBeUndefined();
+    expect(scored[0]!.children.map((t) => t.secondaryLogprob)).toEqual([-1.0, -0.3]);
+    expect(sent).toEqual(["Say hello", "Say help"]);
+  });
+
+  test("gives a model's own tree its own logprobs", async () => {
+    const mock = treeOptions(finishOnly as Fixture, [], {
+      baseUrl: "mock://ngram",
+      apiInfo: { provider: "mock", supportsLogprobs: "yes", supportsPrefill: "yes" },
+      modelType: "base",
+      prompt: "The 🐈 cat",
+      depth: 2,
+      maxWidth: 3,
+    });
+    const scored = await scoreTree(mock, await buildTree(mock));
+    const nodes = (tokens: Token[]): Token[] => tokens.flatMap((t) => [t, ...nodes(t.children)]);
+    for (const node of nodes(scored).filter((t) => !t.other && t.branchFinished == null)) {
+      expect(node.secondaryMerged, node.text).toBeUndefined();
+      expect(node.secondaryLogprob, node.text).toBeCloseTo(node.logprob);
+    }
+  });
+
+  test("leaves nodes without a logprob unscored", async () => {
+    // with no prompt, the very first token of the text has no logprob
+    const sent: string[] = [];
+    const roots = await scoreTree(treeOptions(echoRetokenized as Fixture, sent, {}), tree());
+    expect(roots[0]!.secondaryMerged).toBe(true);
+    expect(roots[0]!.children[0]!.secondaryLogprob).toBeUndefined();
+    expect(roots[0]!.children[0]!.secondaryMerged).toBeUndefined();
+  });
+});
+
+describe("merging equivalent branches", () => {
+  test("merges a token split in two with the same text as one token", () => {
+    const merged = mergeEquivalentBranches([token("hel", 0.4, [token("lo", 1)]), token("hello", 0.5)]);
+    expect(shape(merged)).toEqual([`"hello" 0.90`]);
+    expect(merged[0]!.mergedCount).toBe(2);
+  });
+
+  test("merges every tokenization of the same text", () => {
+    const merged = mergeEquivalentBranches([
+      token("a", 0.2, [token("b", 1, [token("c", 1)])]),
+      token("ab", 0.3, [token("c", 1)]),
+      token("abc", 0.4),
+    ]);
+    expect(shape(merged)).toEqual([`"abc" 0.90`]);
+    expect(merged[0]!.mergedCount).toBe(3);
+  });
+
+  test("keeps a branch that diverges partway through a merged token apart", () => {
+    const merged = mergeEquivalentBranches([
+      token("hello", 0.5),
+      token("hel", 0.3, [token("lp", 0.6), token("lo", 0.4)]),
+    ]);
+    expect(shape(merged)).toEqual([`"hello" 0.62`, `"hel" 0.18`, `  "lp" 1.00`]);
+  });
+
+  test("conserves the probability of every text, including the merged nodes' children", () => {
+    const roots = [
+      token("hel", 0.4, [token("lo", 0.5, [token(" a", 0.5), token(" b", 0.5)]), token("p", 0.5)]),
+      token("hello", 0.5, [token(" a", 0.8), token(" c", 0.2)]),
+      token("hi", 0.1),
+    ];
+    const merged = mergeEquivalentBranches(roots);
+    expect(shape(merged)).toEqual([
+      `"hello" 0.70`,
+      `  " a" 0.71`,
+      `  " c" 0.14`,
+      `  " b" 0.14`,
+      `"hel" 0.20`,
+      `  "p" 1.00`,
+      `"hi" 0.10`,
+    ]);
+    // only "hel" itself loses probability, the 0.2 of "hel" + "lo" that moved into "hello"
+    const original = textProbs(roots);
+    for (let [text, prob] of textProbs(merged)) {
+      expect(prob, text).toBeCloseTo(text === "hel" ? original.get(text)! - 0.2 : original.get(text)!);
+    }
+  });
+});
+
+describe("aborting", () => {
+  const mockOptions = (opts: Partial<TreeOptions>) =>
+    treeOptions(finishOnly as Fixture, [], {
+      baseUrl: "mock://ngram",
+      apiInfo: { provider: "mock", supportsLogprobs: "yes", supportsPrefill: "yes" },
+      modelType: "base",
+      prompt: "The cat",
+      depth: 3,
+      maxWidth: 3,
+      ...opts,
+    });
+
+  test("stops the run, even if the requests don't notice", async () => {
+    const controller = new AbortController();
+    let progressCalls = 0;
+    const roots = await buildTree(
+      mockOptions({
+        signal: controller.signal,
+        rolloutTokens: 5,
+        progress: () => {
+          if (++progressCalls === 3) {
+            controller.abort();
+          }
+          return false;
+        },
+      })
+    );
+    expect(progressCalls).toBe(3);
+    expect(countNodes(roots)).toBeLessThan(countNodes(await buildTree(mockOptions({}))));
+    expect(roots.some((t) => t.rollout != null)).toBe(false);
+  });
+
+  test("cancels the mock model's requests", async () => {
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 0);
+    expect(await buildTree(mockOptions({ signal: controller.signal }))).toEqual([]);
+  });
+});
+
+describe("maxRequests", () => {
+  test("limits rollouts too", async () => {
+    let requests = 0;
+    // the mock model answers in-process, so the fixture isn't used
+    const mock = treeOptions(finishOnly as Fixture, [], {
+      baseUrl: "mock://ngram",
+      apiInfo: { provider: "mock", supportsLogprobs: "yes", supportsPrefill: "yes" },
+      modelType: "base",
+      prompt: "The cat",
+      depth: 3,
+      maxRequests: 2,
+      rolloutTokens: 5,
+      onUsage: (usage) => (requests += usage.requests),
+    });
+    await buildTree(mock);
+    expect(requests).toBe(2);
+    await buildTree({ ...mock, maxRequests: 4 });
+    expect(requests).toBe(2 + 4);
+  });
+
+  test("counts every request in sampling mode, not every query", async () => {
+    let requests = 0;
+    const mock = treeOptions(finishOnly as Fixture, [], {
+      baseUrl: "mock://ngram",
+      apiInfo: { provider: "mock", supportsLogprobs: "yes", supportsPrefill: "yes", supportsN: false },
+      modelType: "base",
+      prompt: "The cat",
+      mode: "sampling",
+      maxWidth: 6,
+      maxRequests: 6,
+      onUsage: (usage) => (requests += usage.requests),
+    });
+    const roots = await buildTree(mock);
+    expect(requests).toBe(6);
+    // the roots are estimated from the samples sent before the budget ran out, one per round
+    expect(roots.length).toBeGreaterThan(1);
+    for (const root of roots) {
+      expect(root.prob * requests).toBeCloseTo(Math.round(root.prob * requests));
+    }
+    expect(roots.reduce((sum, t) => sum + t.prob, 0)).toBeCloseTo(1);
+  });
+
+  test("are estimated with every sample and extra page", () => {
+    const opts = { depth: 2, maxWidth: 3, maxRequests: 0, rolloutTokens: 0, samples: 20, deepAlternativePages: 2 };
+    expect(estimateMaxRequests({ ...opts, mode: "logprobs" })).toBe((1 + 3) * 3);
+    expect(estimateMaxRequests({ ...opts, mode: "sampling", apiInfo: { supportsN: false } })).toBe((1 + 3) * 20);
+    expect(estimateMaxRequests({ ...opts, mode: "sampling", rolloutTokens: 5 })).toBe(1 + 3 + 9);
+    expect(estimateMaxRequests({ ...opts, mode: "logprobs", maxRequests: 10 })).toBe(10);
+  });
+});
+
+describe("sniffApi", () => {
+  /** Stub `fetch` to answer `/models` with `models`, and everything else with a 404. Returns the URLs fetched. */
+  const stubServer = (models: object) => {
+    const fetched: string[] = [];
+    vi.stubGlobal("fetch", async (url: string) => {
+      fetched.push(url);
+      return url.endsWith("/models")
+        ? new Response(JSON.stringify(models), { headers: { "content-type": "application/json" } })
+        : new Response("not found", { status: 404 });
+    });
+    return fetched;
+  };
+
+  test("doesn't look for native APIs on providers /models identifies", async () => {
+    const fetched = stubServer({ data: [{ id: "chatgpt-4o-latest", owned_by: "system" }] });
+    expect((await sniffApi("https://api.openai.com/v1", "key")).provider).toBe("openai");
+    expect(fetched).toEqual(["https://api.openai.com/v1/models"]);
+  });
+
+  test("looks for native APIs on local servers first, and on unknown ones", async () => {
+    let fetched = stubServer({ data: [] });
+    await sniffApi("http://localhost:8080/v1", "");
+    expect(fetched[0]).not.toMatch(/\/models$/);
+    expect(fetched).toContain("http://localhost:8080/api/version");
+
+    fetched = stubServer({ data: [] });
+    await sniffApi("https://llm.example.com/v1", "");
+    expect(fetched[0]).toBe("https://llm.example.com/v1/models");
+    expect(fetched).toContain("https://llm.example.com/props");
+  });
+});
@@ -1,26 +1,136 @@
-import type {
-  ChatCompletion,
-  ChatCompletionCreateParamsNonStreaming,
-  ChatCompletionMessageParam,
-  Completion,
-  CompletionChoice,
-  CompletionCreateParamsNonStreaming,
-} from "openai/resources/index.mjs";
 import OpenAI from "./openai";
 import * as uuid from "uuid";
 
 import { type ApiInfo } from "./api-sniffer";
+import { type Constraint } from "./constraint";
+import {
+  adapterFor,
+  type ProviderResponse,
+  type RequestOptions,
+  type RequestParams,
+  type TokenLogprobs,
+} from "./providers";
 
 export interface Token {
   id: string;
+  /** Display text. Tokens that aren't valid UTF-8 on their own (e.g. part of an emoji) are escaped, like `\xf0\x9f`. */
   text: string;
+  /**
+   * The raw bytes of this token, which may be a partial UTF-8 sequence. Missing from trees saved before this was
+   * tracked, use `tokenBytes` to read it.
+   */
+  bytes?: number[];
   logprob: number;
   prob: number;
   /** If non-null, all tokens below this token will also be non-null, and this branch shouldn't be expanded. */
   branchFinished: BranchFinishReason | null;
+  /** If true, this token's path probability fell below `minPathProb`, so it wasn't expanded. */
+  pruned?: boolean;
+  /**
+   * If set, this isn't a real token, but a placeholder for the probability of all the alternatives that weren't shown
+   * (because of `maxWidth` / `coverProb`, or because the API didn't return them). It can't be expanded.
+   */
+  other?: {
+    /** How many alternatives the API returned that were cut off. There may be more it didn't return. */
+    hiddenCount: number;
+  };
+  /** The token's id in the model's vocabulary, if the API returned it. */
+  tokenId?: number;
+  /**
+   * If set, this token was beyond the API's top-k limit, and was found on this page of `deepAlternativePages` by
+   * banning the tokens before it. (The original request is page 0.)
+   */
+  page?: number;
+  /**
+   * Statistics of the distribution this token's children were picked from. Missing if it hasn't been expanded (or for
+   * older trees). The roots' distribution isn't stored, since there's no parent token to store it on.
+   */
+  stats?: DistributionStats;
+  /** If true, `prob` was estimated by sampling (see `TreeOptions.mode`), and `logprob` is just its log. */
+  empirical?: boolean;
+  /**
+   * Only set by `mergeEquivalentBranches`: the number of differently-tokenized branches this node stands for, if more
+   * than one.
+   */
+  mergedCount?: number;
+  /**
+   * A greedy continuation of this leaf (see `TreeOptions.rolloutTokens`), to preview where the branch is heading. It
+   * isn't part of the tree, and is dropped when the leaf is expanded.
+   */
+  rollout?: string;
+  /**
+   * The probability of this token's children that was cut off by `TreeOptions.constraint`. Missing if nothing was (or
+   * for roots, since there's no parent token to store it on).
+   */
+  filteredProb?: number;
+  /**
+   * The logprob a second model gave this token, set by `scoreTree`. Null if the second model didn't rank it among its
+   * top logprobs.
+   */
+  secondaryLogprob?: number | null;
+  /**
+   * Set by `scoreTree` instead of `secondaryLogprob` when the second model tokenized this text differently, and none of
+   * its tokens ended in this token, so this token's logprob was counted towards a later one.
+   */
+  secondaryMerged?: boolean;
   children: Token[];
 }
 
+export const expansionStrategies = ["depth-first", "breadth-first", "best-first"] as const;
+/**
+ * Which unexpanded node to query next: the leftmost one (depth-first), the shallowest one (breadth-first), or the one
+ * with the highest probability of its whole path (best-first). This matters when a run is interrupted early.
+ */
+export type ExpansionStrategy = (typeof expansionStrategies)[number];
+
+/** A persistent store for API responses, so the same request is never sent twice. */
+export interface QueryCache {
+  /** Returns undefined on a cache miss. */
+  get(key: string): Promise<unknown | undefined>;
+  put(key: string, value: unknown): Promise<void>;
+}
+
+/** Passed to `TreeOptions.onRetry` when a request failed, and will be sent again after `delayMs`. */
+export interface RetryInfo {
+  /** The attempt that failed, starting from 1. */
+  attempt: number;
+  maxAttempts: number;
+  delayMs: number;
+  /** HTTP status of the failed attempt, if it got a response. */
+  status?: number;
+}
+
+export const treeModes = ["logprobs", "sampling"] as const;
+/**
+ * How to find the next tokens: from the logprobs the API returns, or by sampling many one-token completions and
+ * counting them, for providers that don't support logprobs.
+ */
+export type TreeMode = (typeof treeModes)[number];
+
+/** Token usage, summed over requests. Cached responses aren't counted, since they're free. */
+export interface Usage {
+  requests: number;
+  promptTokens: number;
+  completionTokens: number;
+}
+
+/** Statistics of the top-k distribution the API returned for one position, before `maxWidth` / `coverProb`. */
+export interface DistributionStats {
+  /** Shannon entropy, in bits, of the returned alternatives. (The probability outside the top-k isn't counted.) */
+  entropy: number;
+  /** Total probability of the returned alternatives. */
+  coveredMass: number;
+  /** Probability of the most likely alternative minus the second most likely. */
+  margin: number;
+}
+
+export const chatRoles = ["system", "user", "assistant", "tool"] as const;
+/** A turn of a conversation, for looming the final assistant turn of a multi-turn chat. */
+export interface ChatMessage {
+  role: (typeof chatRoles)[number];
+  content: string;
+}
+
 export interface TreeOptions {
   client: InstanceType<typeof OpenAI>;
   baseUrl: string;
@@ -28,67 +138,477 @@ export interface TreeOptions {
   model: string;
   modelType: "chat" | "base";
   systemPrompt?: string;
+  /**
+   * Chat models only: earlier turns of the conversation, sent verbatim after the system prompt and before the prompt
+   * (which is left out if it's empty and there are messages).
+   */
+  messages?: ChatMessage[];
   prompt?: string;
   prefill?: string;
+  mode: TreeMode;
+  /** Number of samples per node in sampling mode. */
+  samples: number;
+  /** Branches end once their text contains any of these. They're also sent to the API as `stop`. */
+  stopSequences: string[];
+  /** For `mock://` base URLs, the text the mock model is built from. Defaults to a small bundled sample. */
+  mockCorpus?: string;
   depth: number;
   maxWidth: number;
   coverProb: number;
+  /**
+   * If more than 0, and there are fewer than `maxWidth` alternatives (e.g. because the API caps top logprobs at 20),
+   * re-request each branching position up to this many times with the alternatives found so far banned via
+   * `logit_bias`, to find more. Only works if the API returns token ids. If it's known to (see
+   * `ApiInfo.returnsTokenIds`), each node is queried one token at a time, so every position is paged; otherwise only
+   * the first position of each query is.
+   */
+  deepAlternativePages: number;
+  /** If more than 0, request a greedy continuation of this many tokens for each leaf after expanding. */
+  rolloutTokens: number;
+  /**
+   * If set, only keep tokens whose text (including the prefill) is still the start of a match, e.g. to explore
+   * structured outputs. Only the alternatives the API returned are checked.
+   */
+  constraint?: Constraint;
+  /** Don't expand tokens whose path probability (the product of the probabilities from the root) is below this. */
+  minPathProb: number;
+  /** Maximum number of queries to have in flight at once while expanding. */
+  concurrency: number;
+  /**
+   * Stop the run once this many requests have been sent, or 0 for no limit. Every request counts, including each
+   * sampling round, page of `deepAlternativePages` and rollout, but cached responses don't. Queries that are in flight
+   * when the budget runs out are dropped, except in sampling mode, where the samples gathered so far are used.
+   */
+  maxRequests: number;
+  /**
+   * Stop the run once what it builds has at least this many nodes, or 0 for no limit: the whole tree for `buildTree`,
+   * but only the expanded node's subtree for `expandTree`, so a big tree can still be expanded.
+   */
+  maxNodes: number;
+  strategy: ExpansionStrategy;
+  cache?: QueryCache;
+  /** How many times to try each request before failing the run. Rate limits and server errors are retried. */
+  maxAttempts: number;
+  onRetry?: (info: RetryInfo) => void;
+  /** Called with the usage of each response from the API. */
+  onUsage?: (usage: Usage) => void;
+  /** Called when the run can't do something its options ask for, e.g. page alternatives without token ids. */
+  onWarning?: (message: string) => void;
+  /**
+   * Aborting this cancels any in-flight requests and stops the run, like returning true from `progress` but without
+   * waiting for the requests to finish.
+   */
+  signal?: AbortSignal;
   progress: (tokens: Token[]) => boolean;
 }
 
+/** How many more requests a run may send. It's shared by everything the run sends, so it's checked in `sendRequest`. */
+interface RequestBudget {
+  remaining: number;
+}
+
+/** Thrown by `sendRequest` when the run's `RequestBudget` is used up. */
+class RequestBudgetError extends Error {
+  constructor() {
+    super("maxRequests reached");
+  }
+}
+
+/** The options of one `buildTree` / `expandTree` run. */
+type RunOptions = TreeOptions & { budget: RequestBudget };
+
+function withBudget(opts: TreeOptions): RunOptions {
+  return { ...opts, budget: { remaining: opts.maxRequests > 0 ? opts.maxRequests : Infinity } };
+}
+
 /** Build a fresh tree from the prompt / prefill */
-export async function buildTree(opts: TreeOptions): Promise<Token[]> {
+export async function buildTree(treeOpts: TreeOptions): Promise<Token[]> {
+  const opts = withBudget(treeOpts);
   const roots: Token[] = [];
-  appendTokens(roots, await query([], opts));
+  try {
+    appendTokens(roots, await query([], opts), [], opts);
+  } catch (e) {
+    if (opts.signal?.aborted) {
+      return roots; // interrupt
+    }
+    throw e;
+  }
   console.log("roots", roots);
   if (opts.progress(structuredClone(roots))) {
     return roots; // interrupt
   }
 
-  // repeatedly walk the tree until there are no nodes left to expand
-  while (true) {
-    const prefix = getContinuablePrefix(roots, opts.depth);
-    if (prefix === null) {
-      break;
-    }
-    appendTokens(prefix.at(-1)!, await query(prefix, opts));
-    if (opts.progress(structuredClone(roots))) {
-      return roots; // interrupt
-    }
+  if (!(await expandLeaves(roots, roots, opts))) {
+    await rolloutLeaves(roots, roots, opts);
   }
   return roots;
 }
 
 /** Expand an existing tree from the given id */
-export async function expandTree(opts: TreeOptions, roots: Token[], id: string): Promise<Token[]> {
+export async function expandTree(treeOpts: TreeOptions, roots: Token[], id: string): Promise<Token[]> {
   roots = structuredClone(roots);
-  opts = { ...opts, depth: opts.depth + 1 }; // to include the node itself
+  const opts = withBudget({ ...treeOpts, depth: treeOpts.depth + 1 }); // to include the node itself
   const nodePath = pathToNodeWithId(id, roots);
   if (nodePath == null) {
     throw new Error(`node with id ${id} doesn't exist!`);
   }
   const node = nodePath.at(-1)!;
   node.children = [];
-  const extraPrefill = nodePath
-    .slice(0, -1)
-    .map((t) => t.text)
-    .join("");
-  console.log(node, extraPrefill, node.text);
+  node.pruned = false;
+  delete node.rollout;
+  console.log(node, nodePath);
 
-  while (true) {
-    const prefix = getContinuablePrefix([node], opts.depth);
-    console.log(prefix);
-    if (prefix === null) {
-      break;
+  // path probabilities are still measured from the root, but the node itself is expanded even if it was pruned
+  const ancestors = nodePath.slice(0, -1);
+  if (!(await expandLeaves([node], roots, opts, ancestors, node.id))) {
+    await rolloutLeaves([node], roots, opts, ancestors);
+  }
+  return roots;
+}
+
+/** The options `scoreTree` uses. `model` etc. are the second model's. */
+export type ScoreOptions = Pick<
+  TreeOptions,
+  | "client"
+  | "baseUrl"
+  | "apiInfo"
+  | "model"
+  | "modelType"
+  | "systemPrompt"
+  | "messages"
+  | "prompt"
+  | "prefill"
+  | "mockCorpus"
+  | "concurrency"
+  | "cache"
+  | "maxAttempts"
+  | "onRetry"
+  | "onUsage"
+  | "signal"
+  | "progress"
+>;
+
+/** How many logprobs to ask for when looking up a token's logprob for `scoreTree` with a chat model. */
+const scoringTopLogprobs = 20;
+
+/**
+ * Score the tokens of an existing tree under a second model, setting their `secondaryLogprob`. Base models score each
+ * root-to-leaf path with one request, by echoing it back with logprobs. Chat models can't echo, so each expanded node's
+ * children are looked up in the top logprobs that follow it instead.
+ */
+export async function scoreTree(opts: ScoreOptions, roots: Token[]): Promise<Token[]> {
+  roots = structuredClone(roots);
+  const requestOpts = { ...opts, stopSequences: [] };
+  const jobs: Array<() => Promise<void>> = [];
+  const visit = (path: Token[], children: Token[]) => {
+    for (let child of children) {
+      // from scoring with a different model
+      delete child.secondaryLogprob;
+      delete child.secondaryMerged;
+      visit([...path, child], child.children);
     }
-    appendTokens(prefix.at(-1)!, await query(prefix, { ...opts, prefill: opts.prefill + extraPrefill }));
-    if (opts.progress(structuredClone(roots))) {
-      return roots; // interrupt
+    if (opts.modelType === "chat" && children.some(isScoreable)) {
+      jobs.push(() => scoreChildrenByPrefix(path, children, requestOpts));
+    }
+  };
+  visit([], roots);
+
+  if (opts.modelType === "base") {
+    // each node is only scored by the first path through it. when the second model's tokens run across nodes, its
+    // score can depend on what follows it, so a later path could disagree (e.g. mark it merged, after it got a logprob)
+    const scored = new Set<string>();
+    for (let root of roots) {
+      for (let path of _treeTraversals(root)) {
+        path = path.filter(isScoreable);
+        const unscored = new Set(path.filter((t) => !scored.has(t.id)));
+        if (unscored.size > 0) {
+          unscored.forEach((t) => scored.add(t.id));
+          jobs.push(() => scorePathByEcho(path, unscored, requestOpts));
+        }
+      }
     }
   }
+
+  await runJobs(jobs, roots, opts);
   return roots;
 }
 
+/**
+ * Run `jobs` (which modify `roots`), up to `opts.concurrency` at once, calling `opts.progress` after each one. Returns
+ * true if the run was interrupted.
+ */
+async function runJobs(
+  jobs: Array<() => Promise<void>>,
+  roots: Token[],
+  opts: Pick<TreeOptions, "concurrency" | "signal" | "progress">
+): Promise<boolean> {
+  let next = 0;
+  let stopped = false;
+  const worker = async () => {
+    try {
+      while (!stopped && next < jobs.length) {
+        if (opts.signal?.aborted) {
+          stopped = true; // jobs that don't send requests (e.g. cached ones) wouldn't notice
+          break;
+        }
+        await jobs[next++]!();
+        stopped ||= opts.progress(structuredClone(roots));
+      }
+    } catch (e) {
+      stopped = true; // don't keep sending requests in the other workers
+      throw e;
+    }
+  };
+  try {
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(opts.concurrency, jobs.length)) }, worker));
+  } catch (e) {
+    if (!opts.signal?.aborted) {
+      throw e;
+    }
+  }
+  return stopped || !!opts.signal?.aborted;
+}
+
+/**
+ * Request a greedy continuation of `opts.rolloutTokens` tokens for each unfinished leaf under `searchRoots`, and store
+ * it as the leaf's `rollout`. Once `opts.budget` is used up, the remaining leaves don't get one.
+ */
+async function rolloutLeaves(searchRoots: Token[], roots: Token[], opts: RunOptions, ancestors: Token[] = []) {
+  if (opts.rolloutTokens <= 0) {
+    return;
+  }
+  const jobs: Array<() => Promise<void>> = [];
+  for (let searchRoot of searchRoots) {
+    for (let path of _treeTraversals(searchRoot)) {
+      const leaf = path.at(-1)!;
+      if (leaf.branchFinished == null && !leaf.other && !leaf.pruned) {
+        jobs.push(async () => {
+          try {
+            leaf.rollout = await queryRollout([...ancestors, ...path], opts);
+          } catch (e) {
+            if (!(e instanceof RequestBudgetError)) {
+              throw e;
+            }
+          }
+        });
+      }
+    }
+  }
+  await runJobs(jobs, roots, opts);
+}
+
+/** The greedy continuation after `path`, without logprobs. */
+async function queryRollout(path: Token[], opts: RunOptions): Promise<string> {
+  const response = await sendRequest((opts.prefill ?? "") + decodeTokens(path).text, opts, {
+    maxTokens: opts.rolloutTokens,
+    temperature: opts.apiInfo.needsTemperature ?? 0.0,
+    topLogprobs: null,
+  });
+  console.log("response:", response);
+
+  const choice = response.choices[0];
+  if (choice == null) {
+    throw new Error("response missing choices!");
+  }
+  // if `path` ends partway through a character, this starts with the whole character, which is what we want to show
+  return choice.text;
+}
+
+/** Finish markers and "…other" nodes aren't tokens the second model could generate. */
+function isScoreable(token: Token): boolean {
+  return !token.other && tokenBytes(token).length > 0;
+}
+
+/**
+ * Score the `nodes` of `path` by sending it as the prompt with `echo`, which returns the logprobs of the prompt's
+ * tokens. The second model may tokenize the text differently, so each of its tokens is counted towards the node its
+ * text ends in, and a node it runs straight through (e.g. "hel" when the second model has "hello") is marked
+ * `secondaryMerged` instead. Nodes with a token the API returned no logprob for (the very first token of the text) are
+ * left unscored.
+ */
+async function scorePathByEcho(
+  path: Token[],
+  nodes: Set<Token>,
+  opts: RequestOptions & Pick<TreeOptions, "prefill">
+): Promise<void> {
+  // offsets are in code points, not UTF-16 code units, so measure the same way
+  const before = codePointLength((opts.prompt ?? "") + (opts.prefill ?? ""));
+  const ends = path.map((_, i) => before + codePointLength(decodeTokens(path.slice(0, i + 1)).text));
+  const response = await sendRequest((opts.prefill ?? "") + decodeTokens(path).text, opts, {
+    maxTokens: 1,
+    temperature: 0,
+    topLogprobs: 0,
+    echo: true,
+  });
+  console.log("response:", response);
+
+  const logprobs = response.choices[0]?.tokenLogprobs;
+  if (logprobs == null) {
+    throw new Error("response missing logprobs! (does this API support echo?)");
+  }
+  const { offsets } = logprobs;
+  const sums: Array<number | null> = path.map(() => null);
+  const missing = new Set<number>();
+  logprobs.tokens.forEach((token, j) => {
+    const end = offsets[j + 1] ?? offsets[j]! + codePointLength(token);
+    const logprob = logprobs.logprobs[j];
+    const node = ends.findIndex((nodeEnd) => end <= nodeEnd);
+    // skip the prompt, and the token generated after the path
+    if (end > before && node !== -1) {
+      if (logprob == null) {
+        missing.add(node);
+      } else {
+        sums[node] = (sums[node] ?? 0) + logprob;
+      }
+    }
+  });
+  path.forEach((token, i) => {
+    const sum = sums[i];
+    if (!nodes.has(token) || missing.has(i)) {
+      return;
+    } else if (sum == null) {
+      token.secondaryMerged = true;
+    } else {
+      token.secondaryLogprob = sum;
+    }
+  });
+}
+
+function codePointLength(text: string): number {
+  return [...text].length;
+}
+
+/** Score `children` by looking them up in the top logprobs after `path`, matching their bytes exactly. */
+async function scoreChildrenByPrefix(
+  path: Token[],
+  children: Token[],
+  opts: RequestOptions & Pick<TreeOptions, "prefill">
+): Promise<void> {
+  const { text, pendingBytes } = decodeTokens(path);
+  const response = await sendRequest((opts.prefill ?? "") + text, opts, {
+    maxTokens: 1,
+    temperature: opts.apiInfo.needsTemperature ?? 0.0,
+    topLogprobs: scoringTopLogprobs,
+  });
+  console.log("response:", response);
+
+  const choice = response.choices[0];
+  if (choice == null) {
+    throw new Error("response missing choices!");
+  }
+  if (choice.logprobs == null && (choice.finishReason == null || choice.finishReason === "length")) {
+    throw new Error("response missing logprobs!");
+  }
+  // if the model stopped instead, none of the children are likely
+  const logprobs =
+    choice.logprobs != null && pendingBytes.length ? stripPendingBytes(choice.logprobs, pendingBytes) : choice.logprobs;
+  const alternatives = logprobs?.[0]?.topLogprobs ?? [];
+  for (let child of children.filter(isScoreable)) {
+    const bytes = tokenBytes(child).join();
+    child.secondaryLogprob = alternatives.find((a) => a.bytes.join() === bytes)?.logprob ?? null;
+  }
+}
+
+/**
+ * Repeatedly walk the tree under `searchRoots` until there are no nodes left to expand, keeping up to
+ * `opts.concurrency` queries in flight. Each response is merged into its leaf as soon as it arrives, followed by a
+ * `progress` call with a snapshot of `roots`. `ancestors` are the tokens above `searchRoots`, which are part of the
+ * prefix but don't count towards the depth.
+ *
+ * Returns true if the run was interrupted, either by `progress` or `opts.signal`. Responses that arrive after an
+ * interrupt (or after another query failed) are dropped without being merged, so the tree is never left with a
+ * partially-applied response. So are queries that run out of `opts.budget`.
+ */
+async function expandLeaves(
+  searchRoots: Token[],
+  roots: Token[],
+  opts: RunOptions,
+  ancestors: Token[] = [],
+  exemptId?: string
+): Promise<boolean> {
+  const inFlight = new Map<string, Promise<void>>();
+  let stopped = false;
+  let failure = null as { error: unknown } | null;
+
+  while (true) {
+    // queries that don't send requests (cached ones, or the mock model's) finish even if the signal is aborted
+    stopped ||= !!opts.signal?.aborted;
+    if (!stopped) {
+      let slots = Math.min(Math.max(1, opts.concurrency) - inFlight.size, opts.budget.remaining);
+      if (opts.maxNodes > 0) {
+        // a query usually adds around maxWidth nodes, so only send as many as the remaining budget can take. only the
+        // nodes under `searchRoots` count, see `TreeOptions.maxNodes`
+        const remainingNodes = opts.maxNodes - countNodes(searchRoots);
+        slots = Math.min(slots, Math.ceil(remainingNodes / Math.max(1, opts.maxWidth)));
+      }
+      // once the budget runs out, nothing new is sent, and we return when the in-flight queries are done
+      for (let prefix of getContinuablePrefixes(searchRoots, opts, slots, inFlight, ancestors, exemptId)) {
+        const leaf = prefix.at(-1)!;
+        const pending = query(prefix, opts, ancestors).then(
+          (queried) => {
+            inFlight.delete(leaf.id);
+            if (stopped || opts.signal?.aborted) {
+              return;
+            }
+            appendTokens(leaf, queried, [...ancestors, ...prefix], opts);
+            if (opts.progress(structuredClone(roots))) {
+              stopped = true; // interrupt
+            }
+          },
+          (error) => {
+            inFlight.delete(leaf.id);
+            if (error instanceof RequestBudgetError) {
+              return; // the other queries used up the budget first
+            }
+            if (!stopped) {
+              stopped = true;
+              if (!opts.signal?.aborted) {
+                failure = { error };
+              }
+            }
+          }
+        );
+        inFlight.set(leaf.id, pending);
+      }
+    }
+    if (failure != null) {
+      throw failure.error;
+    }
+    if (stopped || inFlight.size === 0) {
+      return stopped;
+    }
+    await Promise.race(inFlight.values());
+  }
+}
+
+/**
+ * The most requests a run with these settings could need, if every node has `maxWidth` children, no branch finishes
+ * early, every position needs all of its `deepAlternativePages`, and nothing is cached.
+ */
+export function estimateMaxRequests(
+  opts: Pick<
+    TreeOptions,
+    "depth" | "maxWidth" | "maxRequests" | "rolloutTokens" | "mode" | "samples" | "deepAlternativePages"
+  > & { apiInfo?: Pick<ApiInfo, "supportsN"> }
+): number {
+  const perQuery =
+    opts.mode === "sampling" ? (opts.apiInfo?.supportsN === false ? opts.samples : 1) : 1 + opts.deepAlternativePages;
+  // one query for the roots, then one for each node above the depth limit
+  let total = 0;
+  for (let level = 0; level < opts.depth; level++) {
+    total += opts.maxWidth ** level * perQuery;
+  }
+  if (opts.rolloutTokens > 0) {
+    total += opts.maxWidth ** opts.depth;
+  }
+  return opts.maxRequests > 0 ? Math.min(total, opts.maxRequests) : total;
+}
+
+/** The number of nodes in the tree, including "…other" nodes. */
+export function countNodes(roots: Token[]): number {
+  return roots.reduce((count, t) => count + 1 + countNodes(t.children), 0);
+}
+
 export function pathToNodeWithId(id: string, roots: Token[]): Token[] | null {
   for (let root of roots) {
     for (let traversal of _treeTraversals(root)) {
@@ -102,14 +622,150 @@ export function pathToNodeWithId(id: string, roots: Token[]): Token[] | null {
   return null;
 }
 
-type BranchFinishReason = "stop" | "content_filter" | "tool_calls" | "function_call";
+/**
+ * A view of the tree where sibling branches that spell the same text with different tokenizations (e.g. "hel" + "lo"
+ * and "hello") are merged into a single node, with their probabilities summed. A merged node's text may span several
+ * tokens. Branches that were partly merged into a sibling keep the rest of their probability, so sibling probabilities
+ * still add up to at most 1. Merged nodes take the id of one of their tokens, so they can still be expanded.
+ */
+export function mergeEquivalentBranches(roots: Token[]): Token[] {
+  return mergeSiblings(
+    roots.map((root) => ({ node: root, bytes: tokenBytes(root), prob: root.prob, split: new Set() }))
+  );
+}
+
+/** A branch from a merged node, ending in `node`. */
+interface MergeEntry {
+  node: Token;
+  /** Text of the branch, from the merged node it hangs from. */
+  bytes: number[];
+  /** Probability of the branch, from the merged node it hangs from. */
+  prob: number;
+  /** Children of `node` that were split off into entries of their own. */
+  split: Set<Token>;
+}
+
+function mergeSiblings(entries: MergeEntry[]): Token[] {
+  splitEquivalentBranches(entries);
+
+  // tokens without text (finish markers and "…other") are never merged
+  const groups = new Map<string, MergeEntry[]>();
+  for (let entry of entries) {
+    const key = entry.bytes.length ? entry.bytes.join() : entry.node.id;
+    groups.set(key, [...(groups.get(key) ?? []), entry]);
+  }
+
+  const merged = [...groups.values()].flatMap((group): Token[] => {
+    const first = group[0]!;
+    // whatever probability was split off into other entries isn't this node's anymore
+    const remainingProb = (e: MergeEntry) => e.prob - [...e.split].reduce((sum, child) => sum + e.prob * child.prob, 0);
+    const prob = group.reduce((sum, e) => sum + remainingProb(e), 0);
+    const children = mergeSiblings(
+      group.flatMap((e) =>
+        e.node.children
+          .filter((child) => !e.split.has(child))
+          .map((child) => ({
+            node: child,
+            bytes: tokenBytes(child),
+            prob: prob > 0 ? (e.prob * child.prob) / prob : 0,
+            split: new Set<Token>(),
+          }))
+      )
+    );
+    if (children.length === 0 && prob < minOtherProb && group.every((e) => e.split.size > 0)) {
+      return []; // everything below it was merged elsewhere, e.g. "he" after "he" + "llo" joined "hello"
+    }
+    if (group.length === 1 && first.bytes.length === tokenBytes(first.node).length) {
+      return [{ ...first.node, logprob: Math.log(prob), prob, children }]; // a plain token, keep its details
+    }
+    return [
+      {
+        id: first.node.id,
+        text: escapedTextFromBytes(first.bytes),
+        bytes: first.bytes,
+        logprob: Math.log(prob),
+        prob,
+        branchFinished: group.every((e) => e.node.branchFinished != null) ? first.node.branchFinished : null,
+        ...(group.every((e) => e.node.pruned) ? { pruned: true } : {}),
+        ...(group.some((e) => e.node.empirical) ? { empirical: true } : {}),
+        ...(group.length > 1 ? { mergedCount: group.length } : {}),
+        children,
+      },
+    ];
+  });
+  return merged.toSorted((a, b) => Number(!!a.other) - Number(!!b.other) || b.prob - a.prob);
+}
+
+/**
+ * Split children off `entries` into entries of their own (appended to `entries`) until no entry's subtree spells the
+ * same text as a subtree of an entry with different text. Entries with the same text are merged afterwards, so e.g.
+ * "hel" + "lo" is split into a "hello" entry to merge with a sibling "hello".
+ */
+function splitEquivalentBranches(entries: MergeEntry[]) {
+  const subtreeTexts = (node: Token, bytes: number[], skip: Set<Token>, texts: string[]) => {
+    texts.push(bytes.join());
+    for (let child of node.children) {
+      const childBytes = tokenBytes(child);
+      if (!skip.has(child) && !child.other && childBytes.length > 0) {
+        subtreeTexts(child, [...bytes, ...childBytes], new Set(), texts);
+      }
+    }
+    return texts;
+  };
+
+  for (let changed = true; changed;) {
+    changed = false;
+    // which entries (by text) can reach each text
+    const owners = new Map<string, Set<string>>();
+    for (let entry of entries.filter((e) => e.bytes.length > 0)) {
+      for (let text of subtreeTexts(entry.node, entry.bytes, entry.split, [])) {
+        owners.set(text, (owners.get(text) ?? new Set()).add(entry.bytes.join()));
+      }
+    }
+    // shortest first, so that a split is seen by the longer entries before they look for their own
+    for (let entry of entries.filter((e) => e.bytes.length > 0).toSorted((a, b) => a.bytes.length - b.bytes.length)) {
+      const key = entry.bytes.join();
+      for (let child of entry.node.children) {
+        const childBytes = tokenBytes(child);
+        if (entry.split.has(child) || child.other || childBytes.length === 0) {
+          continue;
+        }
+        const bytes = [...entry.bytes, ...childBytes];
+        const texts = subtreeTexts(child, bytes, new Set(), []);
+        if (texts.some((text) => [...(owners.get(text) ?? [])].some((owner) => owner !== key))) {
+          entry.split.add(child);
+          entries.push({ node: child, bytes, prob: entry.prob * child.prob, split: new Set() });
+          changed = true;
+        }
+      }
+      if (changed) {
+        break; // the owners are out of date
+      }
+    }
+  }
+}
+
+export type BranchFinishReason =
+  | "stop"
+  | "content_filter"
+  | "tool_calls"
+  | "function_call"
+  /** The query came back without any usable children for this token, so don't query it again. */
+  | "no_alternatives"
+  /** The text up to and including this token contains one of `TreeOptions.stopSequences`. */
+  | "stop_sequence"
+  /** The text up to and including this token is a complete match of `TreeOptions.constraint`, which can't continue. */
+  | "constraint";
 type QueriedLogprobs =
   | {
       kind: "logprobs";
+      /** If true, the probabilities were estimated by sampling instead of coming from real logprobs. */
+      empirical?: boolean;
       logprobs: Array<
         TokenLogprobs & {
           /** If non-null, the **chosen** token branch is finished. (But other branches discovered here might be alive.) */
           finishReason: BranchFinishReason | null;
+          stats: DistributionStats;
         }
       >;
     }
@@ -118,75 +774,49 @@ type QueriedLogprobs =
       kind: "finish";
       finishReason: BranchFinishReason;
     };
-async function query(tokens: Token[], opts: TreeOptions): Promise<QueriedLogprobs> {
-  // TODO prompt concat is giga-broken for byte tokens with invalid unicode
-  //
-  // chat completions handles this with the Very Elegant solution of escaping them to \xaa\xbb and then sticking the bytes in a
-  // `bytes` field on the logprob (as a list of integers)
-  // we just naively take the text and then pass escapes into the model, which causes it to generate more escapes and
-  // quickly enter byte-escapes-fucksville
-  //
-  // (regular completions doesn't handle this at all because fuck you)
-  //
-  // the problem is we can't work with the tokens one-by-one to turn the bytes into text because they are invalid unicode
-  // on their own (e.g. \x20\xf0\x9f\x91 , missing the \x8b). we would instead need to concat their bytes and then try
-  // to decode... but what if the trailing token is a partial? we'd need to insert a dummy token to make the sequence valid?
-  // and how do we handle regular completions that don't have the bytes field?
-  //
-  // i hate BPE so much
-  const prefill = (opts.prefill ?? "") + tokens.map((t) => t.text).join("");
-  const prefillStyle = opts.apiInfo.prefillStyle;
-
-  let response: Completion | ChatCompletion;
-  if (opts.modelType === "chat") {
-    const messages: ChatCompletionMessageParam[] = [];
-    if (opts.systemPrompt) {
-      messages.push({ role: "system", content: opts.systemPrompt });
-    }
-    messages.push({ role: "user", content: opts.prompt ?? "" });
-    if (prefill) {
-      messages.push({
-        role: "assistant",
-        content: (opts.prefill ?? "") + tokens.map((t) => t.text).join(""),
-        ...(prefillStyle?.kind === "flags" && prefillStyle.target === "message" ? prefillStyle.flags : {}),
-      });
-    }
-    const request: ChatCompletionCreateParamsNonStreaming = {
-      model: opts.model,
-      messages,
-      logprobs: true,
-      top_logprobs: opts.maxWidth,
-      max_tokens: opts.depth - tokens.length,
-      temperature: opts.apiInfo.needsTemperature ?? 0.0,
-      ...(prefillStyle?.kind === "flags" && prefillStyle?.target === "body" && messages.at(-1)?.role === "assistant"
-        ? prefillStyle.flags
-        : {}),
-    };
-    console.log("chat request:", request);
-    response = await opts.client.chat.completions.create(request);
-  } else {
-    const request: CompletionCreateParamsNonStreaming = {
-      model: opts.model,
-      prompt: opts.prompt + prefill,
-      logprobs: opts.maxWidth, // TODO api claims the max for this is 5? probably only for openai?
-      max_tokens: opts.depth - tokens.length,
-      temperature: opts.apiInfo.needsTemperature ?? 0.0,
-    };
-    console.log("completion request:", request);
-    response = await opts.client.completions.create(request);
+/**
+ * Query the logprobs that follow `tokens`. `ancestors` are extra tokens before `tokens` that are part of the prefix, but
+ * don't count towards the depth.
+ */
+async function query(tokens: Token[], opts: RunOptions, ancestors: Token[] = []): Promise<QueriedLogprobs> {
+  // tokens can be partial UTF-8 (e.g. \xf0\x9f, the first half of an emoji), so we join the raw bytes and decode them
+  // together. if the prefix ends partway through a character, those bytes can't be sent as text, so we leave them off
+  // and strip them back off the start of the returned tokens instead (see `stripPendingBytes`).
+  const { text: prefixText, pendingBytes } = decodeTokens([...ancestors, ...tokens]);
+  const prefill = (opts.prefill ?? "") + prefixText;
+  if (opts.mode === "sampling") {
+    return await querySamples(prefill, pendingBytes, opts);
   }
+
+  // only the first position is paged, so with extra pages, every node is queried as a leaf of its own. that's only worth
+  // it if paging can work, otherwise the first position is tried and the rest of the branch comes back as usual
+  const returnsTokenIds = opts.apiInfo.returnsTokenIds || adapterFor(opts.apiInfo).returnsTokenIds;
+  const pageEveryNode = opts.deepAlternativePages > 0 && returnsTokenIds;
+  const response = await sendRequest(prefill, opts, {
+    maxTokens: pageEveryNode ? 1 : opts.depth - tokens.length,
+    temperature: opts.apiInfo.needsTemperature ?? 0.0,
+    topLogprobs: opts.maxWidth,
+  });
   console.log("response:", response);
 
   const choice = response.choices[0];
   if (choice == null) {
     throw new Error("response missing choices!");
   }
-  const logprobs = choice.logprobs != null ? extractLogprobs(choice.logprobs) : null;
+  const logprobs =
+    choice.logprobs != null && pendingBytes.length ? stripPendingBytes(choice.logprobs, pendingBytes) : choice.logprobs;
+  if (logprobs?.[0] != null && opts.deepAlternativePages > 0 && !pendingBytes.length) {
+    logprobs[0] = { ...logprobs[0], topLogprobs: await pageAlternatives(prefill, logprobs[0].topLogprobs, opts) };
+  }
+  if (logprobs?.length === 0 && choice.finishReason != null && choice.finishReason !== "length") {
+    // stopped right away, e.g. at a stop sequence, which the API leaves out
+    return { kind: "finish", finishReason: choice.finishReason };
+  }
   if (logprobs == null) {
-    if (choice.finish_reason != null && choice.finish_reason !== "length") {
+    if (choice.finishReason != null && choice.finishReason !== "length") {
       // stopped because this branch is over
-      return { kind: "finish", finishReason: choice.finish_reason };
-    } else if (choice.finish_reason === "length") {
+      return { kind: "finish", finishReason: choice.finishReason };
+    } else if (choice.finishReason === "length") {
       // TODO: sometimes can happen even though we count tokens, not sure why
       // seems to happen at natural endpoints, so count it as a stop for now
       console.warn("unexpected finish_reason=length!");
@@ -195,56 +825,305 @@ async function query(tokens: Token[], opts: TreeOptions): Promise<QueriedLogprob
       throw new Error("response missing logprobs!");
     }
   }
+  // APIs leave stop sequences out of the text. if that cut the text short of the chosen tokens, the last of them is only
+  // the start of one, and can still be continued another way. (if they're left out of the tokens too, that looks just
+  // like the model stopping by itself.)
+  const chosenLength = (choice.logprobs ?? []).reduce((length, { chosenBytes }) => length + chosenBytes.length, 0);
+  const cutShort = choice.finishReason === "stop" && new TextEncoder().encode(choice.text).length < chosenLength;
+  const finishReason = choice.finishReason === "length" || cutShort ? null : choice.finishReason;
   return {
     kind: "logprobs",
-    logprobs: logprobs.map(({ chosenToken, topLogprobs }) => {
+    logprobs: logprobs.map(({ chosenToken, chosenBytes, topLogprobs }, i) => {
       return {
         chosenToken,
-        finishReason: choice.finish_reason == null || choice.finish_reason === "length" ? null : choice.finish_reason,
-        // sometimes the API returns more logprobs than requested, so slice to maxWidth to avoid going too wide
-        topLogprobs: sliceToProb(topLogprobs, opts.coverProb).slice(0, opts.maxWidth),
+        chosenBytes,
+        // the response only finished after its last token, the chosen tokens before it can still be continued
+        finishReason: i === logprobs.length - 1 ? finishReason : null,
+        stats: distributionStats(topLogprobs),
+        topLogprobs,
       };
     }),
   };
 }
 
-interface TokenLogprobs {
-  chosenToken: string;
-  topLogprobs: Array<{ token: string; logprob: number }>;
+/**
+ * Send a request continuing from `prefill`, through the adapter for `opts.apiInfo`'s provider. Chat or completion
+ * requests are sent depending on `opts.modelType`. `cacheKeyExtra` is added to the cache key, for callers that want
+ * different responses to the same request. Requests that aren't cached take one from `opts.budget`, if there is one,
+ * or throw a `RequestBudgetError` if it's used up.
+ */
+async function sendRequest(
+  prefill: string,
+  opts: RequestOptions & { budget?: RequestBudget },
+  params: RequestParams,
+  cacheKeyExtra?: object
+): Promise<ProviderResponse> {
+  const adapter = adapterFor(opts.apiInfo);
+  const request = adapter.buildRequest(prefill, opts, params);
+  console.log(`${opts.modelType === "chat" ? "chat" : "completion"} request:`, request);
+  const response = await withCache(opts, request, cacheKeyExtra, async () => {
+    if (opts.budget != null) {
+      if (opts.budget.remaining <= 0) {
+        throw new RequestBudgetError();
+      }
+      opts.budget.remaining--;
+    }
+    const response = await withRetries(opts, () => adapter.send(request, opts));
+    opts.onUsage?.(adapter.parse(response).usage);
+    return response;
+  });
+  return adapter.parse(response);
 }
 
 /**
- * Extract the logprobs from a response choice. This auto-detects the format instead of using `modelType`, because
- * some open-source APIs (not naming names...) return completion-style logprobs even for chat completions :-)
+ * Find alternatives for the first position beyond the API's top-k limit, by requesting it again with every alternative
+ * seen so far banned via `logit_bias`. The new alternatives' logprobs are corrected for the banned probability, so
+ * they're comparable with the first page.
  */
-function extractLogprobs(
-  apiLogprobs: CompletionChoice.Logprobs | ChatCompletion.Choice.Logprobs
-): TokenLogprobs[] | null {
-  if (apiLogprobs.hasOwnProperty("content")) {
-    // chat-style
-    const content = (apiLogprobs as ChatCompletion.Choice.Logprobs).content;
-    if (content == null) {
-      return null;
-    }
-    return content.map((lp) => ({
-      chosenToken: lp.token,
-      topLogprobs: lp.top_logprobs.toSorted((a, b) => -(a.logprob - b.logprob)),
-    }));
-  } else {
-    const { tokens, top_logprobs } = apiLogprobs as CompletionChoice.Logprobs;
-    if (tokens == null || top_logprobs == null) {
-      return null;
+async function pageAlternatives(
+  prefill: string,
+  topLogprobs: TokenLogprobs["topLogprobs"],
+  opts: RunOptions
+): Promise<TokenLogprobs["topLogprobs"]> {
+  let alternatives = topLogprobs;
+  for (let page = 1; page <= opts.deepAlternativePages && alternatives.length < opts.maxWidth; page++) {
+    if (alternatives.some((a) => a.tokenId == null)) {
+      opts.onWarning?.("Can't find more alternatives, the API didn't return token ids");
+      break;
+    }
+    const bannedProb = alternatives.reduce((sum, { logprob }) => sum + Math.exp(logprob), 0);
+    if (bannedProb >= 1) {
+      break;
+    }
+    let response;
+    try {
+      response = await sendRequest(prefill, opts, {
+        maxTokens: 1,
+        temperature: opts.apiInfo.needsTemperature ?? 0.0,
+        topLogprobs: opts.maxWidth,
+        logitBias: Object.fromEntries(alternatives.map((a) => [a.tokenId, -100])),
+      });
+    } catch (e) {
+      if (e instanceof RequestBudgetError) {
+        break; // keep the pages found so far
+      }
+      throw e;
+    }
+    console.log(`page ${page} response:`, response);
+    const choice = response.choices[0];
+    const seen = new Set(alternatives.map((a) => a.tokenId));
+    const found = (choice?.logprobs?.[0]?.topLogprobs ?? [])
+      .filter((a) => a.tokenId != null && !seen.has(a.tokenId))
+      // banning renormalizes the distribution over the remaining tokens, so undo that
+      .map((a) => ({ ...a, logprob: a.logprob + Math.log(1 - bannedProb), page }));
+    if (found.length === 0) {
+      break;
+    }
+    alternatives = [...alternatives, ...found].toSorted((a, b) => -(a.logprob - b.logprob));
+  }
+  return alternatives;
+}
+
+/**
+ * Estimate the distribution of the next token by sampling `opts.samples` one-token completions and counting them,
+ * for providers that don't support logprobs. Uses `n` to get several samples from one request where supported. If
+ * `opts.budget` runs out partway, the estimate is made from the samples so far.
+ */
+async function querySamples(prefill: string, pendingBytes: number[], opts: RunOptions): Promise<QueriedLogprobs> {
+  const counts = new Map<string, { bytes: number[]; count: number; finishReason: BranchFinishReason | null }>();
+  let sampled = 0;
+  for (let round = 0; sampled < opts.samples; round++) {
+    let response;
+    try {
+      response = await sendRequest(
+        prefill,
+        opts,
+        {
+          maxTokens: 1,
+          temperature: 1.0,
+          topLogprobs: null,
+          n: opts.apiInfo.supportsN === false ? 1 : opts.samples - sampled,
+          round,
+        },
+        { round } // so each round isn't served the same sample from the cache
+      );
+    } catch (e) {
+      if (e instanceof RequestBudgetError && sampled > 0) {
+        break;
+      }
+      throw e;
+    }
+    console.log("response:", response);
+    if (response.choices.length === 0) {
+      throw new Error("response missing choices!");
+    }
+    for (let choice of response.choices) {
+      const text = choice.text;
+      const finishReason = choice.finishReason === "length" ? null : choice.finishReason;
+      // an empty sample means the model stopped here
+      const key = text === "" ? `<|${finishReason ?? "stop"}|>` : text;
+      let bytes = new TextEncoder().encode(text);
+      if (pendingBytes.length) {
+        // see `stripPendingBytes`
+        const stripped = pendingBytes.every((b, i) => bytes[i] === b) ? bytes.slice(pendingBytes.length) : null;
+        if (stripped == null || stripped.length === 0) {
+          continue;
+        }
+        bytes = stripped;
+      }
+      const entry = counts.get(key) ?? {
+        bytes: [...bytes],
+        count: 0,
+        finishReason: text === "" ? (finishReason ?? "stop") : null,
+      };
+      entry.count++;
+      counts.set(key, entry);
+    }
+    sampled += response.choices.length;
+  }
+
+  const topLogprobs = [...counts.entries()]
+    .map(([token, { bytes, count, finishReason }]) => ({
+      token,
+      bytes,
+      logprob: Math.log(count / sampled),
+      ...(finishReason != null ? { finishReason } : {}),
+    }))
+    .toSorted((a, b) => -(a.logprob - b.logprob));
+  if (topLogprobs.length === 1 && topLogprobs[0]!.finishReason != null) {
+    return { kind: "finish", finishReason: topLogprobs[0]!.finishReason };
+  }
+  return {
+    kind: "logprobs",
+    empirical: true,
+    logprobs: [
+      {
+        // pretend the most common sample was chosen, but don't follow it -- we only sampled one token
+        chosenToken: "",
+        chosenBytes: [],
+        finishReason: null,
+        stats: distributionStats(topLogprobs),
+        topLogprobs,
+      },
+    ],
+  };
+}
+
+/**
+ * Send a request through `opts.cache`, if there is one. The key includes the whole request body, so it covers the
+ * model, prompts, prefix and sampling params.
+ */
+async function withCache<T>(
+  opts: RequestOptions,
+  request: object,
+  cacheKeyExtra: object | undefined,
+  send: () => Promise<T>
+): Promise<T> {
+  if (opts.cache == null) {
+    return await send();
+  }
+  const key = JSON.stringify({ baseUrl: opts.baseUrl, modelType: opts.modelType, request, ...cacheKeyExtra });
+  const cached = await opts.cache.get(key);
+  if (cached !== undefined) {
+    console.log("cache hit:", cached);
+    return cached as T;
+  }
+  const response = await send();
+  await opts.cache.put(key, response);
+  return response;
+}
+
+/**
+ * Call `send` up to `opts.maxAttempts` times, with exponential backoff between attempts. If the provider sent a
+ * Retry-After header, that's used instead. Only errors that might go away by themselves (rate limits, server errors,
+ * dropped connections) are retried.
+ */
+async function withRetries<T>(opts: RequestOptions, send: () => Promise<T>): Promise<T> {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await send();
+    } catch (error) {
+      if (attempt >= opts.maxAttempts || opts.signal?.aborted || !isRetryableError(error)) {
+        throw error;
+      }
+      const backoffMs = Math.min(1000 * 2 ** (attempt - 1), 60_000) * (0.75 + Math.random() * 0.5);
+      const delayMs = retryAfterMs(error) ?? backoffMs;
+      console.warn(`attempt ${attempt}/${opts.maxAttempts} failed, retrying in ${delayMs}ms:`, error);
+      opts.onRetry?.({
+        attempt,
+        maxAttempts: opts.maxAttempts,
+        delayMs,
+        status: error instanceof OpenAI.APIError ? error.status : undefined,
+      });
+      await sleep(delayMs, opts.signal);
     }
-    return tokens.map((t, idx) => ({
-      chosenToken: t,
-      topLogprobs: Object.entries(top_logprobs[idx]!)
-        .map(([token, logprob]) => ({ token, logprob }))
-        .toSorted((a, b) => -(a.logprob - b.logprob)),
-    }));
   }
 }
 
-function appendTokens(parent: Token | Token[], queried: QueriedLogprobs) {
+/** Wait for `ms`, or reject early if `signal` is aborted. */
+function sleep(ms: number, signal?: AbortSignal): Promise<void> {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timeout);
+      reject(signal!.reason);
+    };
+    const timeout = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+function isRetryableError(error: unknown): boolean {
+  if (error instanceof OpenAI.APIConnectionError) {
+    return true; // includes timeouts
+  }
+  if (error instanceof OpenAI.APIError && error.status != null) {
+    return error.status === 408 || error.status === 409 || error.status === 429 || error.status >= 500;
+  }
+  return false;
+}
+
+/** How long the provider asked us to wait, from the Retry-After (or retry-after-ms) header. */
+function retryAfterMs(error: unknown): number | null {
+  if (!(error instanceof OpenAI.APIError) || error.headers == null) {
+    return null;
+  }
+  const ms = parseFloat(error.headers["retry-after-ms"] ?? "");
+  if (!isNaN(ms)) {
+    return Math.max(0, ms);
+  }
+  const retryAfter = error.headers["retry-after"];
+  if (retryAfter == null) {
+    return null;
+  }
+  const seconds = parseFloat(retryAfter);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(retryAfter); // can also be an HTTP date
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/** Don't add an "…other" node for less leftover probability than this, since it's probably just rounding. */
+const minOtherProb = 1e-4;
+
+/**
+ * Add the queried tokens to `parent` (either a token, or the list of roots), filtered by `opts.constraint` and cut down
+ * to `opts.maxWidth` / `opts.coverProb`. `path` is the tokens leading up to (and including) `parent`, used to check stop
+ * sequences and the constraint.
+ */
+function appendTokens(
+  parent: Token | Token[],
+  queried: QueriedLogprobs,
+  path: Token[],
+  opts: Pick<TreeOptions, "prefill" | "stopSequences" | "maxWidth" | "coverProb" | "constraint">
+) {
   if (queried.kind === "finish") {
     if (!Array.isArray(parent)) {
       parent.branchFinished = queried.finishReason;
@@ -252,6 +1131,7 @@ function appendTokens(parent: Token | Token[], queried: QueriedLogprobs) {
       parent.push({
         id: uuid.v4(),
         text: `<|${queried.finishReason}|>`,
+        bytes: [],
         logprob: 0,
         prob: 1,
         branchFinished: queried.finishReason,
@@ -261,24 +1141,300 @@ function appendTokens(parent: Token | Token[], queried: QueriedLogprobs) {
     return;
   }
 
+  if (!Array.isArray(parent) && !queried.logprobs[0]?.topLogprobs.length) {
+    parent.branchFinished = "no_alternatives";
+    return;
+  }
+
   let to = Array.isArray(parent) ? parent : parent.children;
-  for (let { chosenToken, finishReason, topLogprobs } of queried.logprobs) {
-    for (let { token, logprob } of topLogprobs) {
+  let owner = Array.isArray(parent) ? null : parent; // the token that `to` are the children of
+  let pathBytes = path.flatMap(tokenBytes);
+  for (let { chosenToken, finishReason, topLogprobs: returned, stats } of queried.logprobs) {
+    if (owner != null) {
+      owner.stats = stats;
+    }
+    const { allowed, filteredProb, complete } = filterByConstraint(returned, pathBytes, opts);
+    if (owner != null && filteredProb > 0) {
+      owner.filteredProb = filteredProb;
+    }
+    if (!allowed.length) {
+      if (owner != null) {
+        owner.branchFinished = "no_alternatives";
+      } else if (opts.constraint != null && returned.length > 0) {
+        throw new Error("none of the first tokens the API returned match the constraint");
+      }
+      return; // without any alternatives for the roots, there's no tree
+    }
+    const { topLogprobs, hiddenCount } = limitAlternatives(allowed, opts);
+    for (let alternative of topLogprobs) {
+      to.push({
+        id: uuid.v4(),
+        text: alternative.token,
+        bytes: alternative.bytes,
+        logprob: alternative.logprob,
+        prob: Math.exp(alternative.logprob),
+        branchFinished:
+          (endsInStopSequence(pathBytes, alternative.bytes, opts) ? "stop_sequence" : null) ??
+          (alternative.token === chosenToken ? finishReason : null) ??
+          alternative.finishReason ??
+          (complete.has(alternative) ? "constraint" : null),
+        ...(alternative.tokenId != null ? { tokenId: alternative.tokenId } : {}),
+        ...(alternative.page != null ? { page: alternative.page } : {}),
+        ...(queried.empirical ? { empirical: true } : {}),
+        children: [],
+      });
+    }
+    // the filtered mass isn't part of "…other", since those tokens can't be expanded either way
+    const otherProb = 1 - filteredProb - topLogprobs.reduce((sum, { logprob }) => sum + Math.exp(logprob), 0);
+    if (otherProb > minOtherProb) {
       to.push({
         id: uuid.v4(),
-        text: token,
-        logprob: logprob,
-        prob: Math.exp(logprob),
-        branchFinished: token === chosenToken ? finishReason : null,
+        text: "…other",
+        bytes: [],
+        logprob: Math.log(otherProb),
+        prob: otherProb,
+        branchFinished: null,
+        other: { hiddenCount },
+        ...(queried.empirical ? { empirical: true } : {}),
         children: [],
       });
     }
-    const next = to.find((t) => t.text === chosenToken);
+    const next = to.find((t) => !t.other && t.text === chosenToken);
     if (next == null) {
       return; // chosen token was outside the top logprobs, no joy
+    } else if (next.branchFinished != null) {
+      return; // e.g. the chosen token hit a stop sequence, everything after that is noise
     }
     to = next.children;
+    owner = next;
+    pathBytes = [...pathBytes, ...tokenBytes(next)];
+  }
+}
+
+/**
+ * The prefix sent to the model was missing `pendingBytes` (the start of a character split across tokens), so the model
+ * will regenerate them. Strip them back off the first position, dropping alternatives that don't start with them, since
+ * those aren't continuations of the tree.
+ */
+function stripPendingBytes(logprobs: TokenLogprobs[], pendingBytes: number[]): TokenLogprobs[] {
+  const [first, ...rest] = logprobs;
+  if (first == null) {
+    return logprobs;
+  }
+  const strip = (bytes: number[]): number[] | null =>
+    bytes.length > pendingBytes.length && pendingBytes.every((b, i) => bytes[i] === b)
+      ? bytes.slice(pendingBytes.length)
+      : null;
+
+  const topLogprobs: TokenLogprobs["topLogprobs"] = [];
+  for (let { bytes, logprob } of first.topLogprobs) {
+    const stripped = strip(bytes);
+    if (stripped != null) {
+      topLogprobs.push({ token: escapedTextFromBytes(stripped), bytes: stripped, logprob });
+    }
+  }
+  const chosenBytes = strip(first.chosenBytes);
+  if (chosenBytes == null) {
+    // chosen token didn't continue the tree, so the rest of the sequence is useless
+    return [{ chosenToken: "", chosenBytes: [], topLogprobs }];
   }
+  return [{ chosenToken: escapedTextFromBytes(chosenBytes), chosenBytes, topLogprobs }, ...rest];
+}
+
+/** The raw bytes of a token, falling back to recovering them from the text for trees saved without bytes. */
+export function tokenBytes(token: Token): number[] {
+  return token.bytes ?? bytesFromEscapedText(token.text);
+}
+
+/**
+ * Join the bytes of `tokens` and decode them. If the tokens end partway through a character, those bytes are returned
+ * as `pendingBytes` instead of being decoded.
+ */
+export function decodeTokens(tokens: Token[]): { text: string; pendingBytes: number[] } {
+  return decodeBytes(tokens.flatMap(tokenBytes));
+}
+
+/**
+ * If the last token in `path` isn't valid UTF-8 on its own, return the text it decodes to together with the partial
+ * character before it (e.g. an emoji split over several tokens). Otherwise, returns null.
+ */
+export function completedCharacters(path: Token[]): string | null {
+  const last = path.at(-1);
+  if (last == null || isValidUtf8(tokenBytes(last))) {
+    return null;
+  }
+  const { pendingBytes } = decodeTokens(path.slice(0, -1));
+  const { text } = decodeBytes([...pendingBytes, ...tokenBytes(last)]);
+  return text || null;
+}
+
+function decodeBytes(bytes: number[]): { text: string; pendingBytes: number[] } {
+  const end = incompleteTailStart(bytes);
+  return {
+    text: new TextDecoder("utf-8").decode(Uint8Array.from(bytes.slice(0, end))),
+    pendingBytes: bytes.slice(end),
+  };
+}
+
+/** Index of the start of a trailing, incomplete UTF-8 sequence, or `bytes.length` if there isn't one. */
+function incompleteTailStart(bytes: number[]): number {
+  for (let i = bytes.length - 1; i >= 0 && i >= bytes.length - 4; i--) {
+    const b = bytes[i]!;
+    if ((b & 0xc0) === 0x80) {
+      continue; // continuation byte, keep looking for the lead byte
+    }
+    const length = b >= 0xf0 ? 4 : b >= 0xe0 ? 3 : b >= 0xc0 ? 2 : 1;
+    return bytes.length - i < length ? i : bytes.length;
+  }
+  return bytes.length;
+}
+
+function isValidUtf8(bytes: number[]): boolean {
+  try {
+    new TextDecoder("utf-8", { fatal: true }).decode(Uint8Array.from(bytes));
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Recover the bytes of a token from its text, where invalid UTF-8 is escaped like `\xf0\x9f` (sometimes with a
+ * `bytes:` prefix). Not perfect -- a model that literally generates `\x41` will get it decoded -- but it's the best we
+ * can do for APIs without a bytes field.
+ */
+export function bytesFromEscapedText(text: string): number[] {
+  if (/^bytes:(\\x[0-9a-fA-F]{2})+$/.test(text)) {
+    text = text.slice("bytes:".length);
+  }
+  const bytes: number[] = [];
+  const encoder = new TextEncoder();
+  for (let part of text.split(/(\\x[0-9a-fA-F]{2})/)) {
+    if (/^\\x[0-9a-fA-F]{2}$/.test(part)) {
+      bytes.push(parseInt(part.slice(2), 16));
+    } else {
+      bytes.push(...encoder.encode(part));
+    }
+  }
+  return bytes;
+}
+
+/** Inverse of `bytesFromEscapedText`: decode the bytes if they're valid UTF-8, otherwise escape them. */
+export function escapedTextFromBytes(bytes: number[]): string {
+  if (isValidUtf8(bytes)) {
+    return new TextDecoder("utf-8").decode(Uint8Array.from(bytes));
+  }
+  return bytes.map((b) => `\\x${b.toString(16).padStart(2, "0")}`).join("");
+}
+
+function distributionStats(topLogprobs: TokenLogprobs["topLogprobs"]): DistributionStats {
+  const probs = topLogprobs.map(({ logprob }) => Math.exp(logprob)).toSorted((a, b) => b - a);
+  return {
+    entropy: probs.reduce((sum, p) => (p > 0 ? sum - p * Math.log2(p) : sum), 0),
+    coveredMass: probs.reduce((sum, p) => sum + p, 0),
+    margin: (probs[0] ?? 0) - (probs[1] ?? 0),
+  };
+}
+
+/**
+ * Split the "Stop sequences" setting on commas, trimming the whitespace around each one. `\n`, `\t`, `\ ` (a space),
+ * `\,` and `\\` are unescaped, and escaped whitespace isn't trimmed. Empty entries are dropped.
+ */
+export function parseStopSequences(setting: string): string[] {
+  const sequences: string[] = [];
+  let current = "";
+  // how long `current` is without its unescaped trailing whitespace
+  let trimmedLength = 0;
+  for (let i = 0; i < setting.length; i++) {
+    const c = setting[i]!;
+    if (c === "\\" && i + 1 < setting.length) {
+      const next = setting[++i];
+      current += next === "n" ? "\n" : next === "t" ? "\t" : next;
+      trimmedLength = current.length;
+    } else if (c === ",") {
+      sequences.push(current.slice(0, trimmedLength));
+      current = "";
+      trimmedLength = 0;
+    } else if (/\s/.test(c)) {
+      if (current !== "") {
+        current += c; // kept if something follows it, leading whitespace is dropped
+      }
+    } else {
+      current += c;
+      trimmedLength = current.length;
+    }
+  }
+  sequences.push(current.slice(0, trimmedLength));
+  return sequences.filter((s) => s.length > 0);
+}
+
+/** Returns true if adding `bytes` after `pathBytes` completes one of `opts.stopSequences`. */
+function endsInStopSequence(
+  pathBytes: number[],
+  bytes: number[],
+  opts: Pick<TreeOptions, "prefill" | "stopSequences">
+): boolean {
+  if (!opts.stopSequences.length) {
+    return false;
+  }
+  // include the prefill, so a sequence can start in the prefill and end in the tree
+  const before = (opts.prefill ?? "") + decodeBytes(pathBytes).text;
+  const after = (opts.prefill ?? "") + decodeBytes([...pathBytes, ...bytes]).text;
+  return opts.stopSequences.some(
+    (seq) => seq.length > 0 && after.indexOf(seq, Math.max(0, before.length - seq.length + 1)) !== -1
+  );
+}
+
+/**
+ * Drop the alternatives after `pathBytes` whose text doesn't keep the text so far a valid start of `opts.constraint`.
+ * `complete` are the allowed alternatives that finish a match that can't be continued.
+ */
+function filterByConstraint(
+  topLogprobs: TokenLogprobs["topLogprobs"],
+  pathBytes: number[],
+  opts: Pick<TreeOptions, "prefill" | "constraint">
+): {
+  allowed: TokenLogprobs["topLogprobs"];
+  filteredProb: number;
+  complete: Set<TokenLogprobs["topLogprobs"][number]>;
+} {
+  const { constraint } = opts;
+  if (constraint == null) {
+    return { allowed: topLogprobs, filteredProb: 0, complete: new Set() };
+  }
+  // like stop sequences, the constraint covers the prefill, so the tree can continue a match started there
+  const before = decodeBytes(pathBytes).text;
+  const state = constraint.match((opts.prefill ?? "") + before);
+  if (state == null) {
+    throw new Error("the prefill (and tokens) so far don't match the constraint, so nothing after them can");
+  }
+  const allowed: TokenLogprobs["topLogprobs"] = [];
+  const complete = new Set<TokenLogprobs["topLogprobs"][number]>();
+  let filteredProb = 0;
+  for (let alternative of topLogprobs) {
+    // decode together, since the token may finish a character split across tokens
+    const added = decodeBytes([...pathBytes, ...alternative.bytes]).text.slice(before.length);
+    const next = constraint.match(added, state);
+    if (next == null) {
+      filteredProb += Math.exp(alternative.logprob);
+      continue;
+    }
+    allowed.push(alternative);
+    if (constraint.isComplete(next) && !constraint.canContinue(next)) {
+      complete.add(alternative);
+    }
+  }
+  return { allowed, filteredProb, complete };
+}
+
+/** Cut a (sorted) list of top logprobs down to `opts.coverProb` and `opts.maxWidth`. */
+function limitAlternatives(
+  topLogprobs: TokenLogprobs["topLogprobs"],
+  opts: Pick<TreeOptions, "coverProb" | "maxWidth">
+): { topLogprobs: TokenLogprobs["topLogprobs"]; hiddenCount: number } {
+  // sometimes the API returns more logprobs than requested, so slice to maxWidth to avoid going too wide
+  const limited = sliceToProb(topLogprobs, opts.coverProb).slice(0, opts.maxWidth);
+  return { topLogprobs: limited, hiddenCount: topLogprobs.length - limited.length };
 }
 
 /** Take a (sorted) list of top logprobs, and slice it to the shortest length that has a total probability > `prob` */
@@ -292,19 +1448,113 @@ function sliceToProb(tokens: TokenLogprobs["topLogprobs"], prob: number): TokenL
   return tokens.slice(0, i);
 }
 
-function getContinuablePrefix(roots: Token[], maxDepth: number): Token[] | null {
+/**
+ * Find up to `limit` unexpanded leaves, in the order given by `opts.strategy`, skipping any whose id is in `skip`.
+ * Leaves with a path probability (including `ancestors`, the path to `roots`) below `opts.minPathProb` are marked as
+ * pruned instead, except the one with id `exemptId`.
+ */
+function getContinuablePrefixes(
+  roots: Token[],
+  opts: Pick<TreeOptions, "depth" | "strategy" | "minPathProb">,
+  limit: number,
+  skip: { has(id: string): boolean },
+  ancestors: Token[] = [],
+  exemptId?: string
+): Token[][] {
+  if (limit <= 0) {
+    return [];
+  }
+  const strategy = opts.strategy;
+
+  const ancestorProb = ancestors.reduce((p, t) => p * t.prob, 1);
+  const prefixes: Token[][] = [];
+  const queue = new PriorityQueue<{ traversal: Token[]; order: number; jointProb: number }>((a, b) => {
+    if (strategy === "breadth-first" && a.traversal.length !== b.traversal.length) {
+      return a.traversal.length < b.traversal.length;
+    } else if (strategy === "best-first" && a.jointProb !== b.jointProb) {
+      return a.jointProb > b.jointProb;
+    }
+    return a.order < b.order; // otherwise depth-first, i.e. traversal order
+  });
   for (let root of roots) {
     for (let traversal of _treeTraversals(root)) {
       const last = traversal.at(-1);
-      if (last == null || traversal.length >= maxDepth) {
+      if (last == null || traversal.length >= opts.depth) {
         continue;
       }
-      if (last.children.length === 0 && !last.branchFinished) {
-        return traversal;
+      if (last.children.length === 0 && !last.branchFinished && !last.pruned && !last.other && !skip.has(last.id)) {
+        const jointProb = traversal.reduce((p, t) => p * t.prob, ancestorProb);
+        if (jointProb < opts.minPathProb && last.id !== exemptId) {
+          last.pruned = true;
+        } else if (strategy === "depth-first") {
+          // no need to look at the rest of the tree
+          prefixes.push(traversal);
+          if (prefixes.length >= limit) {
+            return prefixes;
+          }
+        } else {
+          queue.push({ traversal, order: queue.size, jointProb });
+        }
       }
     }
   }
-  return null;
+
+  while (prefixes.length < limit && queue.size > 0) {
+    prefixes.push(queue.pop()!.traversal);
+  }
+  return prefixes;
+}
+
+/** Binary heap, where `before(a, b)` returns true if `a` should be popped before `b`. */
+class PriorityQueue<T> {
+  private heap: T[] = [];
+
+  constructor(private before: (a: T, b: T) => boolean) {}
+
+  get size(): number {
+    return this.heap.length;
+  }
+
+  push(item: T) {
+    const heap = this.heap;
+    heap.push(item);
+    let i = heap.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (!this.before(heap[i]!, heap[parent]!)) {
+        break;
+      }
+      [heap[i], heap[parent]] = [heap[parent]!, heap[i]!];
+      i = parent;
+    }
+  }
+
+  pop(): T | undefined {
+    const heap = this.heap;
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length === 0 || last === undefined) {
+      return top;
+    }
+    heap[0] = last;
+    let i = 0;
+    while (true) {
+      const left = 2 * i + 1;
+      const right = left + 1;
+      let first = i;
+      if (left < heap.length && this.before(heap[left]!, heap[first]!)) {
+        first = left;
+      }
+      if (right < heap.length && this.before(heap[right]!, heap[first]!)) {
+        first = right;
+      }
+      if (first === i) {
+        return top;
+      }
+      [heap[i], heap[first]] = [heap[first]!, heap[i]!];
+      i = first;
+    }
+  }
 }
 
 function* _treeTraversals(token: Token): Generator<Token[]> {
@@ -0,0 +1,141 @@
+// A tiny n-gram language model, for the `mock://ngram` provider (see `providers.ts`). It's built from a text corpus in
+// the browser, so the tree engine and UI can be used without an API key, and it's deterministic, so it can be used in
+// tests.
+
+export interface NgramModel {
+  /** How many tokens the model looks at, including the one it predicts. */
+  order: number;
+  /** Token text by id. Id 0 is the end of text, which has no text. */
+  vocab: string[];
+  tokenize(text: string): Array<{ text: string; id: number | null }>;
+  /**
+   * The logprob of every token after `context` (ids, where null is a token that's not in the corpus). Tokens the corpus
+   * never has, in any context, have a logprob of -Infinity.
+   */
+  logprobs(context: Array<number | null>): number[];
+}
+
+export const endOfText = 0;
+
+/**
+ * Words and numbers (with their leading space), runs of punctuation, and other whitespace characters each become a
+ * token, roughly like a real tokenizer would split them.
+ */
+const tokenPattern = / ?\p{L}+| ?\p{N}+| ?[^\s\p{L}\p{N}]+|\s/gu;
+
+/**
+ * Build a model from `corpus`, counting every context of up to `order - 1` tokens. Paragraphs (separated by blank
+ * lines) are separate texts, each ending with `endOfText`.
+ */
+export function buildNgramModel(corpus: string, order: number): NgramModel {
+  const vocab = [""];
+  const ids = new Map<string, number>();
+  const idOf = (text: string): number => {
+    let id = ids.get(text);
+    if (id == null) {
+      id = vocab.push(text) - 1;
+      ids.set(text, id);
+    }
+    return id;
+  };
+
+  // counts[k] has the counts of the next token after each context of k tokens, keyed by the context's ids
+  const counts: Array<Map<string, Map<number, number>>> = Array.from({ length: order }, () => new Map());
+  for (let paragraph of corpus.split(/\n\s*\n/)) {
+    const tokens = [...(paragraph.trim().match(tokenPattern) ?? []).map(idOf), endOfText];
+    if (tokens.length === 1) {
+      continue;
+    }
+    tokens.forEach((token, i) => {
+      for (let k = 0; k < order && k <= i; k++) {
+        const key = tokens.slice(i - k, i).join(",");
+        const next = counts[k]!.get(key) ?? new Map<number, number>();
+        next.set(token, (next.get(token) ?? 0) + 1);
+        counts[k]!.set(key, next);
+      }
+    });
+  }
+
+  return {
+    order,
+    vocab,
+    tokenize: (text) => (text.match(tokenPattern) ?? []).map((t) => ({ text: t, id: ids.get(t) ?? null })),
+    logprobs(context) {
+      // Witten-Bell smoothing: each context's counts are mixed with the next shorter context's probabilities, with more
+      // weight on the shorter context the more different tokens followed this one
+      let probs = new Array<number>(vocab.length).fill(0);
+      for (let k = 0; k < order && k <= context.length; k++) {
+        const key = context.slice(context.length - k);
+        if (key.some((id) => id == null)) {
+          break; // an unknown token, so no longer context can have counts either
+        }
+        const next = counts[k]!.get(key.join(","));
+        if (next == null) {
+          break;
+        }
+        const total = [...next.values()].reduce((sum, count) => sum + count, 0);
+        const weight = total / (total + next.size);
+        const counted = (id: number) => (next.get(id) ?? 0) / total;
+        probs =
+          k === 0 ? probs.map((_, id) => counted(id)) : probs.map((p, id) => (1 - weight) * p + weight * counted(id));
+      }
+      return probs.map(Math.log);
+    },
+  };
+}
+
+/** A seeded random number generator (mulberry32), so sampling from the mock model is deterministic. */
+export function seededRandom(seed: number): () => number {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** A 32-bit hash of `text` (FNV-1a), for seeds and cache keys. */
+export function hashText(text: string): number {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/** The corpus used when the user doesn't supply one. */
+export const sampleCorpus = `The loom sat in the corner of the workshop. The weaver sat at the loom. The weaver sat by the window.
+
+Every morning the weaver threaded the loom with red thread. Every evening the weaver threaded the loom with blue thread.
+
+The cat sat on the mat. The cat sat on the warm rug. The dog sat on the mat. The dog slept on the warm rug by the fire.
+
+A tree has a root, and the root has branches. Each branch has more branches, and each branch ends in a leaf.
+
+Q: What color is the sky?
+A: The sky is blue.
+
+Q: What color is the grass?
+A: The grass is green.
+
+Q: What color is the thread?
+A: The thread is red. Sometimes the thread is blue.
+
+Q: Count from 1 to 10, separated by commas.
+A: 1, 2, 3, 4, 5, 6, 7, 8, 9, 10.
+
+Q: How many legs does a cat have?
+A: A cat has 4 legs.
+
+Q: How many legs does a bird have?
+A: A bird has 2 legs.
+
+The answer is A. The answer is B. The answer is A, because the first branch is more likely. The answer is C.
+
+{"name": "Ada", "age": 36, "likes": ["looms", "numbers"]}
+
+{"name": "Charles", "age": 41, "likes": ["engines", "numbers"]}
+
+Once upon a time, there was a weaver who could weave anything. She wove a river, and the river ran through the town. She wove a mountain, and the mountain stood over the town. She wove a story, and the story never ended.
+
+Once upon a time, there was a cat who wanted to be a weaver. The cat sat at the loom every day, but the thread always ended up on the floor.`;
@@ -0,0 +1,748 @@
+// The providers logit-loom can send requests to. Most speak the OpenAI API, through the vendored client, but some local
+// servers have a native API that fits looming better: llama.cpp's returns token ids and exact bytes for every
+// alternative, instead of escaping partial UTF-8 into strings, and Ollama's OpenAI-compatible API doesn't do raw
+// completions or logprobs at all. There's also a built-in mock model, for trying things out without an API key.
+
+import type {
+  ChatCompletion,
+  ChatCompletionCreateParamsNonStreaming,
+  ChatCompletionMessageParam,
+  Completion,
+  CompletionChoice,
+  CompletionCreateParamsNonStreaming,
+} from "openai/resources/index.mjs";
+import OpenAI from "./openai";
+
+import { type ApiInfo } from "./api-sniffer";
+import { buildNgramModel, endOfText, hashText, sampleCorpus, seededRandom, type NgramModel } from "./mock-model";
+import {
+  bytesFromEscapedText,
+  escapedTextFromBytes,
+  type BranchFinishReason,
+  type TreeOptions,
+  type Usage,
+} from "./logit-loom";
+
+export interface RequestParams {
+  maxTokens: number;
+  temperature: number;
+  /** How many logprobs to request for each position, or null to not request logprobs. */
+  topLogprobs: number | null;
+  /** Number of completions to sample. */
+  n?: number;
+  logitBias?: Record<string, number>;
+  /** Completions only: also return the prompt's tokens, with their logprobs. */
+  echo?: boolean;
+  /**
+   * Which round of sampling this request is, when the same request is sent several times for more samples. Real APIs
+   * sample differently each time anyways, but the mock model seeds its sampling with this.
+   */
+  round?: number;
+}
+
+/** The options needed to send a request. */
+export type RequestOptions = Pick<
+  TreeOptions,
+  | "client"
+  | "baseUrl"
+  | "apiInfo"
+  | "model"
+  | "modelType"
+  | "systemPrompt"
+  | "messages"
+  | "prompt"
+  | "stopSequences"
+  | "mockCorpus"
+  | "cache"
+  | "maxAttempts"
+  | "onRetry"
+  | "onUsage"
+  | "signal"
+>;
+
+export interface TokenLogprobs {
+  chosenToken: string;
+  chosenBytes: number[];
+  topLogprobs: Array<{
+    token: string;
+    bytes: number[];
+    logprob: number;
+    tokenId?: number;
+    /** Set for alternatives found by `pageAlternatives`. */
+    page?: number;
+    /** For sampled tokens, set if the samples ended here. */
+    finishReason?: BranchFinishReason;
+  }>;
+}
+
+/** A response, converted from the provider's own format. */
+export interface ProviderResponse {
+  choices: Array<{
+    text: string;
+    /** "length" if the completion ran into `maxTokens`. */
+    finishReason: BranchFinishReason | "length" | null;
+    /** Null if logprobs weren't requested, or the provider didn't return them. */
+    logprobs: TokenLogprobs[] | null;
+    /**
+     * Completion-style responses only: every token with its logprob, and its offset in the text. With `echo`, this
+     * starts with the prompt's tokens (the very first has a null logprob).
+     */
+    tokenLogprobs?: { tokens: string[]; logprobs: Array<number | null>; offsets: number[] };
+  }>;
+  usage: Usage;
+}
+
+/**
+ * How to talk to a provider. Building a request is separate from sending it, since the request is also the cache key,
+ * and responses are cached in the provider's format and parsed afterwards, so parsing fixes apply to cached responses.
+ *
+ * Errors should be `OpenAI.APIError`s, so they're retried like the OpenAI client's.
+ */
+export interface ProviderAdapter<Request extends object = any, Response = any> {
+  /** Build a request continuing from `prefill`. Throws if the provider can't do what `params` asks. */
+  buildRequest(prefill: string, opts: RequestOptions, params: RequestParams): Request;
+  send(request: Request, opts: RequestOptions): Promise<Response>;
+  parse(response: Response): ProviderResponse;
+  /** If true, chat requests add the prefill the way `ApiInfo.prefillStyle` says, so `probeApi` tries each style. */
+  usesPrefillStyle?: boolean;
+  /** If true, parsed alternatives have a `tokenId` (unless the server is too old), so `logitBias` can ban them. */
+  returnsTokenIds?: boolean;
+}
+
+/** The adapter for the provider `sniffApi` detected. Anything without a native adapter goes through the OpenAI API. */
+export function adapterFor(apiInfo: ApiInfo): ProviderAdapter {
+  if (apiInfo.provider === "mock") {
+    return mockAdapter;
+  } else if (apiInfo.provider === "llama-cpp" && apiInfo.nativeUrl != null) {
+    return llamaCppAdapter;
+  } else if (apiInfo.provider === "ollama" && apiInfo.nativeUrl != null) {
+    return ollamaAdapter;
+  }
+  return openAIAdapter;
+}
+
+// OpenAI-compatible APIs
+
+const openAIAdapter: ProviderAdapter<
+  ChatCompletionCreateParamsNonStreaming | CompletionCreateParamsNonStreaming,
+  Completion | ChatCompletion
+> = {
+  usesPrefillStyle: true,
+
+  buildRequest(prefill, opts, params) {
+    const prefillStyle = opts.apiInfo.prefillStyle;
+    const n = params.n != null && params.n !== 1 ? { n: params.n } : {};
+    const stop = opts.stopSequences.length ? { stop: opts.stopSequences } : {};
+
+    if (opts.modelType === "chat") {
+      const messages: ChatCompletionMessageParam[] = [];
+      if (opts.systemPrompt) {
+        messages.push({ role: "system", content: opts.systemPrompt });
+      }
+      for (let message of opts.messages ?? []) {
+        // a tool message has to answer an assistant's tool call by its id, and the conversation editor doesn't make tool
+        // calls, so tool results are sent as user turns instead
+        messages.push(
+          message.role === "tool"
+            ? { role: "user", content: `Tool result:\n${message.content}` }
+            : { role: message.role, content: message.content }
+        );
+      }
+      if (opts.prompt || !opts.messages?.length) {
+        messages.push({ role: "user", content: opts.prompt ?? "" });
+      }
+      if (prefill) {
+        messages.push({
+          role: "assistant",
+          content: prefill,
+          ...(prefillStyle?.kind === "flags" && prefillStyle.target === "message" ? prefillStyle.flags : {}),
+        });
+      }
+      return {
+        model: opts.model,
+        messages,
+        ...(params.topLogprobs != null ? { logprobs: true, top_logprobs: params.topLogprobs } : {}),
+        max_tokens: params.maxTokens,
+        temperature: params.temperature,
+        ...n,
+        ...stop,
+        ...(params.logitBias != null ? { logit_bias: params.logitBias } : {}),
+        ...(prefillStyle?.kind === "flags" && prefillStyle?.target === "body" && messages.at(-1)?.role === "assistant"
+          ? prefillStyle.flags
+          : {}),
+      };
+    } else {
+      return {
+        model: opts.model,
+        prompt: (opts.prompt ?? "") + prefill,
+        // TODO api claims the max for this is 5? probably only for openai?
+        ...(params.topLogprobs != null ? { logprobs: params.topLogprobs } : {}),
+        max_tokens: params.maxTokens,
+        temperature: params.temperature,
+        ...n,
+        ...stop,
+        ...(params.logitBias != null ? { logit_bias: params.logitBias } : {}),
+        ...(params.echo ? { echo: true } : {}),
+      };
+    }
+  },
+
+  async send(request, opts) {
+    if (opts.modelType === "chat") {
+      return await opts.client.chat.completions.create(request as ChatCompletionCreateParamsNonStreaming, {
+        signal: opts.signal,
+      });
+    } else {
+      return await opts.client.completions.create(request as CompletionCreateParamsNonStreaming, {
+        signal: opts.signal,
+      });
+    }
+  },
+
+  parse(response) {
+    return {
+      choices: response.choices.map((choice) => {
+        const text = ("message" in choice ? choice.message.content : choice.text) ?? "";
+        const logprobs = choice.logprobs != null ? extractLogprobs(choice.logprobs) : null;
+        if ("message" in choice || choice.logprobs?.tokens == null || choice.logprobs.token_logprobs == null) {
+          return { text, finishReason: choice.finish_reason, logprobs };
+        }
+        const { tokens, token_logprobs, text_offset } = choice.logprobs;
+        // in code points, like `text_offset`
+        const offsets = text_offset ?? tokens.map((_, j) => [...tokens.slice(0, j).join("")].length);
+        return {
+          text,
+          finishReason: choice.finish_reason,
+          logprobs,
+          tokenLogprobs: { tokens, logprobs: token_logprobs, offsets },
+        };
+      }),
+      usage: {
+        requests: 1,
+        promptTokens: response.usage?.prompt_tokens ?? 0,
+        completionTokens: response.usage?.completion_tokens ?? 0,
+      },
+    };
+  },
+};
+
+/**
+ * Extract the logprobs from a response choice. This auto-detects the format instead of using `modelType`, because
+ * some open-source APIs (not naming names...) return completion-style logprobs even for chat completions :-)
+ */
+function extractLogprobs(
+  apiLogprobs: CompletionChoice.Logprobs | ChatCompletion.Choice.Logprobs
+): TokenLogprobs[] | null {
+  if (apiLogprobs.hasOwnProperty("content")) {
+    // chat-style
+    const content = (apiLogprobs as ChatCompletion.Choice.Logprobs).content;
+    if (content == null) {
+      return null;
+    }
+    return content.map((lp) => ({
+      chosenToken: lp.token,
+      chosenBytes: lp.bytes ?? bytesFromEscapedText(lp.token),
+      topLogprobs: lp.top_logprobs
+        .map((top) => ({
+          token: top.token,
+          bytes: top.bytes ?? bytesFromEscapedText(top.token),
+          logprob: top.logprob,
+          ...tokenIdOf(top),
+        }))
+        .toSorted((a, b) => -(a.logprob - b.logprob)),
+    }));
+  } else {
+    const { tokens, top_logprobs } = apiLogprobs as CompletionChoice.Logprobs;
+    if (tokens == null || top_logprobs == null) {
+      return null;
+    }
+    // completions don't have a bytes field, so recover them from the escapes
+    return tokens.map((t, idx) => ({
+      chosenToken: t,
+      chosenBytes: bytesFromEscapedText(t),
+      // with echo, the first token of the prompt has no top logprobs
+      topLogprobs: Object.entries(top_logprobs[idx] ?? {})
+        .map(([token, logprob]) => ({ token, bytes: bytesFromEscapedText(token), logprob }))
+        .toSorted((a, b) => -(a.logprob - b.logprob)),
+    }));
+  }
+}
+
+/**
+ * Token ids aren't part of the OpenAI API, but some servers (e.g. llama.cpp) add them to each logprob anyways, as `id`
+ * or `token_id`.
+ */
+function tokenIdOf(logprob: object): { tokenId?: number } {
+  const { id, token_id } = logprob as { id?: unknown; token_id?: unknown };
+  const tokenId = typeof id === "number" ? id : typeof token_id === "number" ? token_id : null;
+  return tokenId != null ? { tokenId } : {};
+}
+
+// llama.cpp server's native API
+
+/**
+ * A request to llama.cpp's `/completion`. For chat models, `messages` are formatted with the model's chat template
+ * when the request is sent (see `applyChatTemplate`), and `prompt` is the prefill that follows them.
+ */
+interface LlamaCppRequest {
+  messages?: Array<{ role: string; content: string }>;
+  model: string;
+  prompt: string;
+  n_predict: number;
+  temperature: number;
+  n_probs: number;
+  stop?: string[];
+  logit_bias?: Array<[number, number]>;
+  /** Reuse the KV cache from the last request with the same prefix, which is most of them when looming. */
+  cache_prompt: true;
+}
+
+interface LlamaCppResponse {
+  content: string;
+  stop_type?: "none" | "eos" | "limit" | "word";
+  /** Older versions report how they stopped with flags instead of `stop_type`. */
+  stopped_eos?: boolean;
+  stopped_word?: boolean;
+  stopped_limit?: boolean;
+  tokens_evaluated?: number;
+  tokens_predicted?: number;
+  completion_probabilities?: Array<LlamaCppProbs | LlamaCppLegacyProbs>;
+}
+
+type LlamaCppProbs = NativeLogprob & { id: number; top_logprobs: NativeLogprob[] };
+
+/** Before the OpenAI-style logprobs were added, llama.cpp returned probabilities, without ids or bytes. */
+interface LlamaCppLegacyProbs {
+  content: string;
+  probs: Array<{ tok_str: string; prob: number }>;
+}
+
+const llamaCppAdapter: ProviderAdapter<LlamaCppRequest, LlamaCppResponse> = {
+  returnsTokenIds: true,
+
+  buildRequest(prefill, opts, params) {
+    if (params.echo) {
+      throw new Error("llama.cpp's native API can't return the prompt's logprobs, so it can't score base model trees");
+    } else if (params.n != null && params.n > 1) {
+      throw new Error("llama.cpp's native API can't sample several completions per request");
+    }
+    let messages: LlamaCppRequest["messages"];
+    if (opts.modelType === "chat") {
+      messages = [
+        ...(opts.systemPrompt ? [{ role: "system", content: opts.systemPrompt }] : []),
+        ...(opts.messages ?? []),
+        ...(opts.prompt || !opts.messages?.length ? [{ role: "user", content: opts.prompt ?? "" }] : []),
+      ];
+    }
+    return {
+      ...(messages != null ? { messages } : {}),
+      model: opts.model,
+      // the template ends with the start of the assistant's turn, so the prefill can simply follow it
+      prompt: messages != null ? prefill : (opts.prompt ?? "") + prefill,
+      n_predict: params.maxTokens,
+      temperature: params.temperature,
+      n_probs: params.topLogprobs ?? 0,
+      ...(opts.stopSequences.length ? { stop: opts.stopSequences } : {}),
+      ...(params.logitBias != null
+        ? { logit_bias: Object.entries(params.logitBias).map(([id, bias]): [number, number] => [Number(id), bias]) }
+        : {}),
+      cache_prompt: true,
+    };
+  },
+
+  async send({ messages, ...request }, opts) {
+    const nativeUrl = opts.apiInfo.nativeUrl!;
+    const prompt =
+      messages != null ? (await applyChatTemplate(nativeUrl, messages, opts)) + request.prompt : request.prompt;
+    return await postJson(`${nativeUrl}/completion`, { ...request, prompt }, opts);
+  },
+
+  parse(response) {
+    const probs = response.completion_probabilities;
+    return {
+      choices: [
+        {
+          text: response.content,
+          finishReason: llamaCppFinishReason(response),
+          logprobs: probs?.length ? probs.map(llamaCppTokenLogprobs) : null,
+        },
+      ],
+      usage: {
+        requests: 1,
+        promptTokens: response.tokens_evaluated ?? 0,
+        completionTokens: response.tokens_predicted ?? 0,
+      },
+    };
+  },
+};
+
+/** Formatted chat templates, by server and messages, since they're the same for every request in a tree. */
+const chatTemplateCache = new Map<string, Promise<string>>();
+
+/** Format `messages` with the model's chat template, ending with the start of the assistant's turn. */
+function applyChatTemplate(nativeUrl: string, messages: LlamaCppRequest["messages"], opts: RequestOptions) {
+  const key = JSON.stringify([nativeUrl, messages]);
+  let formatted = chatTemplateCache.get(key);
+  if (formatted == null) {
+    formatted = postJson(`${nativeUrl}/apply-template`, { messages }, opts).then((r: { prompt: string }) => r.prompt);
+    formatted.catch(() => chatTemplateCache.delete(key)); // so the request is tried again
+    chatTemplateCache.set(key, formatted);
+  }
+  return formatted;
+}
+
+function llamaCppFinishReason(response: LlamaCppResponse): BranchFinishReason | "length" | null {
+  const stopType =
+    response.stop_type ??
+    (response.stopped_eos ? "eos" : response.stopped_word ? "word" : response.stopped_limit ? "limit" : "none");
+  // "word" is a stop sequence, which the tree also checks for itself
+  return stopType === "eos" || stopType === "word" ? "stop" : stopType === "limit" ? "length" : null;
+}
+
+function llamaCppTokenLogprobs(position: LlamaCppProbs | LlamaCppLegacyProbs): TokenLogprobs {
+  if ("probs" in position) {
+    return {
+      chosenToken: position.content,
+      chosenBytes: bytesFromEscapedText(position.content),
+      topLogprobs: position.probs
+        .filter(({ prob }) => prob > 0)
+        .map(({ tok_str, prob }) => ({ token: tok_str, bytes: bytesFromEscapedText(tok_str), logprob: Math.log(prob) }))
+        .toSorted((a, b) => -(a.logprob - b.logprob)),
+    };
+  }
+  return nativeTokenLogprobs(position, position.top_logprobs);
+}
+
+/** A logprob from a native API, which (like the OpenAI chat API) has the token's bytes. */
+interface NativeLogprob {
+  id?: number;
+  token: string;
+  bytes?: number[];
+  logprob: number;
+}
+
+function nativeTokenLogprobs(chosen: NativeLogprob, topLogprobs: NativeLogprob[]): TokenLogprobs {
+  // partial UTF-8 comes back as replacement characters in `token`, so rebuild the text from the bytes
+  const convert = ({ id, token, bytes, logprob }: NativeLogprob) => {
+    const tokenBytes = bytes ?? bytesFromEscapedText(token);
+    return {
+      token: escapedTextFromBytes(tokenBytes),
+      bytes: tokenBytes,
+      logprob,
+      ...(id != null ? { tokenId: id } : {}),
+    };
+  };
+  const { token, bytes } = convert(chosen);
+  return {
+    chosenToken: token,
+    chosenBytes: bytes,
+    topLogprobs: topLogprobs.map(convert).toSorted((a, b) => -(a.logprob - b.logprob)),
+  };
+}
+
+// Ollama's native API
+
+/**
+ * A request to Ollama's `/api/generate` for base models, in raw mode so the prompt isn't templated, or to `/api/chat`
+ * for chat models, where a final assistant message is continued as the prefill.
+ */
+interface OllamaRequest {
+  model: string;
+  prompt?: string;
+  raw?: true;
+  messages?: Array<{ role: string; content: string }>;
+  stream: false;
+  logprobs?: true;
+  top_logprobs?: number;
+  options: { num_predict: number; temperature: number; stop?: string[] };
+}
+
+interface OllamaResponse {
+  /** From `/api/generate`. */
+  response?: string;
+  /** From `/api/chat`. */
+  message?: { content: string };
+  done_reason?: string;
+  prompt_eval_count?: number;
+  eval_count?: number;
+  logprobs?: Array<NativeLogprob & { top_logprobs?: NativeLogprob[] }>;
+}
+
+const ollamaAdapter: ProviderAdapter<OllamaRequest, OllamaResponse> = {
+  buildRequest(prefill, opts, params) {
+    if (params.echo) {
+      throw new Error("Ollama can't return the prompt's logprobs, so it can't score base model trees");
+    } else if (params.n != null && params.n > 1) {
+      throw new Error("Ollama can't sample several completions per request");
+    } else if (params.logitBias != null) {
+      throw new Error("Ollama doesn't support logit_bias");
+    }
+    const input =
+      opts.modelType === "chat"
+        ? {
+            messages: [
+              ...(opts.systemPrompt ? [{ role: "system", content: opts.systemPrompt }] : []),
+              ...(opts.messages ?? []),
+              ...(opts.prompt || !opts.messages?.length ? [{ role: "user", content: opts.prompt ?? "" }] : []),
+              ...(prefill ? [{ role: "assistant", content: prefill }] : []),
+            ],
+          }
+        : { prompt: (opts.prompt ?? "") + prefill, raw: true as const };
+    return {
+      model: opts.model,
+      ...input,
+      stream: false,
+      ...(params.topLogprobs != null ? { logprobs: true, top_logprobs: params.topLogprobs } : {}),
+      options: {
+        num_predict: params.maxTokens,
+        temperature: params.temperature,
+        ...(opts.stopSequences.length ? { stop: opts.stopSequences } : {}),
+      },
+    };
+  },
+
+  async send(request, opts) {
+    const endpoint = request.messages != null ? "chat" : "generate";
+    return await postJson(`${opts.apiInfo.nativeUrl!}/api/${endpoint}`, request, opts);
+  },
+
+  parse(response) {
+    const doneReason = response.done_reason;
+    return {
+      choices: [
+        {
+          text: response.response ?? response.message?.content ?? "",
+          finishReason: doneReason === "stop" ? "stop" : doneReason === "length" ? "length" : null,
+          logprobs: response.logprobs?.length
+            ? response.logprobs.map((position) => nativeTokenLogprobs(position, position.top_logprobs ?? []))
+            : null,
+        },
+      ],
+      usage: {
+        requests: 1,
+        promptTokens: response.prompt_eval_count ?? 0,
+        completionTokens: response.eval_count ?? 0,
+      },
+    };
+  },
+};
+
+// The mock n-gram model
+
+/**
+ * A request to the mock model. Base model prompts are used as is, and chat prompts are written as text, with the user's
+ * messages as `Q:` lines and the assistant's as `A:` lines.
+ */
+interface MockRequest {
+  /** A hash of the corpus, so cached responses from a different corpus aren't used. */
+  corpus: number;
+  order: number;
+  prompt: string;
+  maxTokens: number;
+  temperature: number;
+  topLogprobs: number | null;
+  n: number;
+  logitBias?: Record<string, number>;
+  stop: string[];
+  echo?: boolean;
+  /** Mixed into the sampling seed, see `RequestParams.round`. */
+  round?: number;
+}
+
+const mockAdapter: ProviderAdapter<MockRequest, ProviderResponse> = {
+  returnsTokenIds: true,
+
+  buildRequest(prefill, opts, params) {
+    const url = new URL(opts.baseUrl);
+    if (url.host !== "ngram") {
+      throw new Error(`unknown mock model '${url.host}', the only one is mock://ngram`);
+    }
+    const order = parseInt(url.searchParams.get("order") ?? "3");
+    if (!(order >= 1 && order <= 8)) {
+      throw new Error("mock://ngram?order= should be between 1 and 8");
+    }
+    let prompt = (opts.prompt ?? "") + prefill;
+    if (opts.modelType === "chat") {
+      const lines = [
+        ...(opts.systemPrompt ? [opts.systemPrompt] : []),
+        ...(opts.messages ?? []).map((m) =>
+          m.role === "user" ? `Q: ${m.content}` : m.role === "assistant" ? `A: ${m.content}` : m.content
+        ),
+        ...(opts.prompt || !opts.messages?.length ? [`Q: ${opts.prompt ?? ""}`] : []),
+      ];
+      // tokens start with their space, so only add one if the prefill doesn't
+      prompt = `${lines.join("\n")}\nA:${prefill && !/^\s/.test(prefill) ? " " : ""}${prefill}`;
+    }
+    return {
+      corpus: hashText(opts.mockCorpus || sampleCorpus),
+      order,
+      prompt,
+      maxTokens: params.maxTokens,
+      temperature: params.temperature,
+      topLogprobs: params.topLogprobs,
+      n: params.n ?? 1,
+      ...(params.logitBias != null ? { logitBias: params.logitBias } : {}),
+      stop: opts.stopSequences,
+      ...(params.echo ? { echo: true } : {}),
+      ...(params.round ? { round: params.round } : {}),
+    };
+  },
+
+  async send(request, opts) {
+    // give ctrl-c or the Stop button a chance to abort the signal first, and check it like a real request would
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    opts.signal?.throwIfAborted();
+    const model = mockModel(opts.mockCorpus || sampleCorpus, request.order);
+    const prompt = model.tokenize(request.prompt);
+    // so each sampling round of the same prompt gets new samples
+    const seed = hashText(request.prompt) + (request.round ?? 0) * request.n;
+    const choices = Array.from({ length: request.n }, (_, i) =>
+      generateMock(model, prompt, request, seededRandom(seed + i))
+    );
+    return {
+      choices,
+      usage: {
+        requests: 1,
+        promptTokens: prompt.length,
+        completionTokens: choices.reduce((sum, choice) => sum + model.tokenize(choice.text).length, 0),
+      },
+    };
+  },
+
+  parse: (response) => response,
+};
+
+/** The last mock model built, since building it for every request would be slow for big corpora. */
+let lastMockModel: { corpus: string; model: NgramModel } | null = null;
+
+function mockModel(corpus: string, order: number): NgramModel {
+  if (lastMockModel?.corpus !== corpus || lastMockModel.model.order !== order) {
+    lastMockModel = { corpus, model: buildNgramModel(corpus, order) };
+  }
+  return lastMockModel.model;
+}
+
+/** Generate a completion like an API would: greedily at temperature 0, otherwise by sampling with `random`. */
+function generateMock(
+  model: NgramModel,
+  prompt: Array<{ text: string; id: number | null }>,
+  request: MockRequest,
+  random: () => number
+): ProviderResponse["choices"][number] {
+  const context = prompt.map((t) => t.id);
+  const logprobs: TokenLogprobs[] = [];
+  const encoder = new TextEncoder();
+  let text = "";
+  let finishReason: BranchFinishReason | "length" = "length";
+  for (let i = 0; i < request.maxTokens; i++) {
+    const distribution = model.logprobs(context.slice(context.length - (model.order - 1)));
+    for (let [id, bias] of Object.entries(request.logitBias ?? {})) {
+      const logprob = distribution[Number(id)];
+      if (logprob != null) {
+        distribution[Number(id)] = logprob + bias;
+      }
+    }
+    const total = distribution.reduce((sum, logprob) => sum + Math.exp(logprob), 0);
+    const normalized = distribution.map((logprob) => logprob - Math.log(total));
+    const chosen = request.temperature > 0 ? sampleToken(normalized, request.temperature, random) : argmax(normalized);
+    if (chosen === endOfText) {
+      finishReason = "stop";
+      break;
+    }
+    if (request.topLogprobs != null) {
+      const alternatives = normalized
+        .map((logprob, id) => ({ id, logprob }))
+        .filter(({ id, logprob }) => id !== endOfText && logprob > -Infinity)
+        .toSorted((a, b) => b.logprob - a.logprob || a.id - b.id)
+        .slice(0, request.topLogprobs);
+      logprobs.push({
+        chosenToken: model.vocab[chosen]!,
+        chosenBytes: [...encoder.encode(model.vocab[chosen]!)],
+        topLogprobs: alternatives.map(({ id, logprob }) => ({
+          token: model.vocab[id]!,
+          bytes: [...encoder.encode(model.vocab[id]!)],
+          logprob,
+          tokenId: id,
+        })),
+      });
+    }
+    text += model.vocab[chosen];
+    context.push(chosen);
+    const stop = request.stop.find((seq) => seq.length > 0 && text.includes(seq));
+    if (stop != null) {
+      text = text.slice(0, text.indexOf(stop));
+      finishReason = "stop";
+      break;
+    }
+  }
+
+  return {
+    text,
+    finishReason,
+    logprobs: logprobs.length ? logprobs : null,
+    ...(request.echo ? { tokenLogprobs: mockPromptLogprobs(model, prompt) } : {}),
+  };
+}
+
+/** For `echo`: the logprob of each token of the prompt, given the ones before it. */
+function mockPromptLogprobs(
+  model: NgramModel,
+  prompt: Array<{ text: string; id: number | null }>
+): NonNullable<ProviderResponse["choices"][number]["tokenLogprobs"]> {
+  const context = prompt.map((t) => t.id);
+  const logprobs = prompt.map(({ id }, i) => {
+    const logprob =
+      i > 0 && id != null ? model.logprobs(context.slice(Math.max(0, i - (model.order - 1)), i))[id]! : null;
+    return logprob != null && logprob > -Infinity ? logprob : null;
+  });
+  const offsets = prompt.map((_, i) => prompt.slice(0, i).reduce((sum, t) => sum + [...t.text].length, 0));
+  return { tokens: prompt.map((t) => t.text), logprobs, offsets };
+}
+
+function argmax(logprobs: number[]): number {
+  return logprobs.reduce((best, logprob, id) => (logprob > logprobs[best]! ? id : best), 0);
+}
+
+function sampleToken(logprobs: number[], temperature: number, random: () => number): number {
+  const weights = logprobs.map((logprob) => Math.exp(logprob / temperature));
+  let r = random() * weights.reduce((sum, w) => sum + w, 0);
+  for (let id = 0; id < weights.length; id++) {
+    r -= weights[id]!;
+    if (r <= 0 && weights[id]! > 0) {
+      return id;
+    }
+  }
+  return argmax(logprobs);
+}
+
+/** POST to a native API, throwing errors the same way the OpenAI client does, so they're retried the same way. */
+async function postJson(url: string, body: object, opts: RequestOptions): Promise<any> {
+  const apiKey = opts.client.apiKey;
+  let response: Response;
+  try {
+    response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}) },
+      body: JSON.stringify(body),
+      signal: opts.signal,
+    });
+  } catch (e) {
+    if (opts.signal?.aborted) {
+      throw e;
+    }
+    throw new OpenAI.APIConnectionError({ cause: e instanceof Error ? e : undefined });
+  }
+  if (!response.ok) {
+    const text = await response.text();
+    let json: object | undefined;
+    try {
+      json = JSON.parse(text);
+    } catch (_) {
+      json = undefined;
+    }
+    const headers: Record<string, string> = {};
+    response.headers.forEach((value, key) => (headers[key] = value));
+    throw OpenAI.APIError.generate(response.status, json, json == null ? text : undefined, headers);
+  }
+  return await response.json();
+}
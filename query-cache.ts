@@ -0,0 +1,59 @@
+// IndexedDB-backed response cache, so re-running a prompt or re-expanding a node doesn't pay for the same request twice.
+// Cache errors are logged and otherwise ignored -- a broken cache shouldn't break a run.
+
+const dbName = "logitloom-query-cache";
+const storeName = "responses";
+
+let dbPromise: Promise<IDBDatabase> | null = null;
+
+function openDb(): Promise<IDBDatabase> {
+  if (dbPromise == null) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(dbName, 1);
+      request.addEventListener("upgradeneeded", () => {
+        request.result.createObjectStore(storeName);
+      });
+      request.addEventListener("success", () => resolve(request.result));
+      request.addEventListener("error", () => reject(request.error));
+    });
+    dbPromise.catch(() => {
+      dbPromise = null; // try again next time
+    });
+  }
+  return dbPromise;
+}
+
+async function withStore<T>(mode: IDBTransactionMode, fn: (store: IDBObjectStore) => IDBRequest<T>): Promise<T> {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const request = fn(db.transaction(storeName, mode).objectStore(storeName));
+    request.addEventListener("success", () => resolve(request.result));
+    request.addEventListener("error", () => reject(request.error));
+  });
+}
+
+/** Get a cached response, or undefined if it's missing (or the cache is broken). */
+export async function get(key: string): Promise<unknown | undefined> {
+  try {
+    return await withStore("readonly", (store) => store.get(key));
+  } catch (e) {
+    console.error("reading query cache:", e);
+    return undefined;
+  }
+}
+
+export async function put(key: string, value: unknown): Promise<void> {
+  try {
+    await withStore("readwrite", (store) => store.put(value, key));
+  } catch (e) {
+    console.error("writing query cache:", e);
+  }
+}
+
+export async function clear(): Promise<void> {
+  try {
+    await withStore("readwrite", (store) => store.clear());
+  } catch (e) {
+    console.error("clearing query cache:", e);
+  }
+}
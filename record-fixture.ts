@@ -0,0 +1,78 @@
+// Test fixtures: responses in a provider's format, which the tests in logit-loom.test.ts replay. They're either written
+// by hand, or recorded from a real provider by `logitloom build --record-fixture PATH`, with `recordingFetch`.
+
+/** Responses to replay, matched to requests by `exchangeKey`. */
+export interface Fixture {
+  description: string;
+  modelType: "chat" | "base";
+  exchanges: Array<{ prompt: string; prefill?: string; logitBias?: Record<string, number>; response: unknown }>;
+}
+
+/** What a request body is matched by, see `exchangeKey`. */
+export interface ExchangeKey {
+  prompt: string;
+  prefill: string;
+  /** The banned tokens of an extra page (see `TreeOptions.deepAlternativePages`). */
+  logitBias?: Record<string, number>;
+}
+
+/**
+ * What a request body is matched by: the prompt (the last user message for chat models, or the whole prompt for base
+ * models), the assistant prefill (chat models only), and the logit bias. This works for the OpenAI API, and for
+ * Ollama's and llama.cpp's native APIs, except llama.cpp with a chat model, whose prompt is already formatted with its
+ * chat template. Returns null for requests it can't match.
+ */
+export function exchangeKey(modelType: Fixture["modelType"], body: any): ExchangeKey | null {
+  // llama.cpp's native API sends the logit bias as [id, bias] pairs
+  const bias: Array<[string, number]> = Array.isArray(body?.logit_bias)
+    ? body.logit_bias
+    : Object.entries(body?.logit_bias ?? {});
+  const logitBias = bias.length ? { logitBias: Object.fromEntries(bias.map(([id, b]) => [String(id), b])) } : {};
+  if (modelType === "chat") {
+    const messages: Array<{ role: string; content: string }> | undefined = body?.messages;
+    if (!Array.isArray(messages)) {
+      return null;
+    }
+    const last = messages.at(-1);
+    return {
+      prompt: messages.findLast((m) => m.role === "user")?.content ?? "",
+      prefill: last?.role === "assistant" ? last.content : "",
+      ...logitBias,
+    };
+  }
+  return typeof body?.prompt === "string" ? { prompt: body.prompt, prefill: "", ...logitBias } : null;
+}
+
+/** Whether `exchange` was recorded for a request with `key`. */
+export function matchesExchange(exchange: Fixture["exchanges"][number], key: ExchangeKey): boolean {
+  return (
+    exchange.prompt === key.prompt &&
+    (exchange.prefill ?? "") === key.prefill &&
+    JSON.stringify(exchange.logitBias ?? null) === JSON.stringify(key.logitBias ?? null)
+  );
+}
+
+/**
+ * Wrap `fetch` to add the response to every request it can match (see `exchangeKey`) to `fixture`. Requests to
+ * llama.cpp's `/apply-template` are left out, since they aren't part of the tree.
+ */
+export function recordingFetch(fetch: typeof globalThis.fetch, fixture: Fixture): typeof globalThis.fetch {
+  return async (url, init) => {
+    const response = await fetch(url, init);
+    if (init?.method !== "POST" || !response.ok || String(url).endsWith("/apply-template")) {
+      return response;
+    }
+    const key = exchangeKey(fixture.modelType, JSON.parse(String(init.body)));
+    if (key == null) {
+      console.warn(`can't record the response from ${url}, its request can't be matched when replaying`);
+      return response;
+    }
+    fixture.exchanges.push({
+      prompt: key.prompt,
+      ...(fixture.modelType === "chat" ? { prefill: key.prefill } : {}),
+      ...(key.logitBias != null ? { logitBias: key.logitBias } : {}),
+      response: await response.clone().json(),
+    });
+    return response;
+  };
+}
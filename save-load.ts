@@ -1,4 +1,4 @@
-import { type Token } from "./logit-loom";
+import { type ChatMessage, type Token, type Usage } from "./logit-loom";
 
 export interface SerializedTree {
   isLogitLoomTreeVersion: "logit-loom-tree-v1";
@@ -7,6 +7,8 @@ export interface SerializedTree {
     | {
         kind: "chat";
         systemPrompt?: string;
+        /** Earlier turns of the conversation. Missing from older trees. */
+        messages?: ChatMessage[];
         prompt?: string;
         prefill?: string;
       }
@@ -16,6 +18,13 @@ export interface SerializedTree {
         prefill?: string;
       };
   roots: Token[];
+  /** Token usage of the requests that built this tree. Missing from older trees. */
+  usage?: Usage & {
+    /** In the same currency as the preset prices. Missing if the preset didn't have prices. */
+    estimatedCost?: number;
+  };
+  /** The second model the tokens' `secondaryLogprob`s came from, if the tree was scored. */
+  scoredWith?: string;
 }
 
 export function saveTree(serialized: SerializedTree) {
@@ -1,9 +1,25 @@
 import { useSyncExternalStore } from "react";
 import OpenAI from "./openai";
 
-import { buildTree, expandTree, pathToNodeWithId, type Token } from "./logit-loom";
-import { type ApiInfo, sniffApi } from "./api-sniffer";
+import {
+  buildTree,
+  decodeTokens,
+  expandTree,
+  pathToNodeWithId,
+  scoreTree,
+  type ChatMessage,
+  type ExpansionStrategy,
+  type QueryCache,
+  type RetryInfo,
+  type Token,
+  type TreeMode,
+  type TreeOptions,
+  type Usage,
+} from "./logit-loom";
+import { type ApiInfo, isProbablyLocalhost, probeApi, sniffApi } from "./api-sniffer";
+import { compileConstraint, type ConstraintKind } from "./constraint";
 import * as SaveLoad from "./save-load";
+import * as QueryCacheStore from "./query-cache";
 
 export interface State {
   running: boolean;
@@ -17,6 +33,31 @@ export interface State {
         roots: Token[] | null;
       };
   baseUrlApiInfoCache: Record<string, ApiInfo>;
+  /** Api info checked by `testConnection`, keyed by `verifiedApiInfoKey`. Saved in localStorage. */
+  verifiedApiInfo: Record<string, ApiInfo>;
+  /** Query cache lookups for the current (or last) run. */
+  cacheStats: { hits: number; lookups: number };
+  /** If non-null, a request failed (e.g. from a rate limit) and the run is waiting to retry it. */
+  retrying: RetryInfo | null;
+  /** Things the current (or last) run couldn't do, e.g. find extra pages of alternatives. Each is only listed once. */
+  warnings: string[];
+  /** Usage of the requests that built the current tree, including any "expand from here" runs. */
+  usage: Usage;
+  /** The model the tree's `secondaryLogprob`s came from, if it was scored with one since it was built or loaded. */
+  scoredWith: string | null;
+}
+
+const emptyUsage: Usage = { requests: 0, promptTokens: 0, completionTokens: 0 };
+
+export interface Prices {
+  /** Price per million prompt tokens. */
+  input: number;
+  /** Price per million completion tokens. */
+  output: number;
+}
+
+export function estimateCost(usage: Usage, prices: Prices): number {
+  return (usage.promptTokens * prices.input + usage.completionTokens * prices.output) / 1_000_000;
 }
 
 const { useTreeStore: _useTreeStore, updateState } = (() => {
@@ -26,6 +67,12 @@ const { useTreeStore: _useTreeStore, updateState } = (() => {
     interrupting: false,
     value: { kind: "tree", roots: [] },
     baseUrlApiInfoCache: {},
+    verifiedApiInfo: tryGetVerifiedApiInfoFromLocalStorage(),
+    cacheStats: { hits: 0, lookups: 0 },
+    retrying: null,
+    warnings: [],
+    usage: emptyUsage,
+    scoredWith: null,
   };
 
   function subscribe(listener: () => void): () => void {
@@ -67,8 +114,12 @@ export const useTreeStore = _useTreeStore;
 // so that react knows to rerender it when the state changes. If the helper function pulls `state` directly, then react doesn't know about the dependency on state.
 // Using `updateState` is fine, however.
 
-/** Return the token string for a given token -- all the tokens before it, and itself, joined together. */
-export function getTokenAndPrefix(state: State, id: string): string | null {
+/**
+ * Return the token string for a given token -- all the tokens before it, and itself, joined together. If this ends
+ * partway through a character, the partial character is left off. If `withRollout` is true, the token's rollout is
+ * appended, if it has one.
+ */
+export function getTokenAndPrefix(state: State, id: string, withRollout: boolean = false): string | null {
   if (state.value.roots == null) {
     return null;
   }
@@ -76,7 +127,19 @@ export function getTokenAndPrefix(state: State, id: string): string | null {
   if (path === null) {
     return null;
   }
-  return path.map((t) => t.text).join("");
+  return decodeTokens(path).text + (withRollout ? (path.at(-1)!.rollout ?? "") : "");
+}
+
+/** The api info to show warnings for: what "Test connection" found for this model, or else what was sniffed. */
+export function getShownApiInfo(
+  state: State,
+  baseUrl: string,
+  modelName: string | undefined,
+  modelType: "chat" | "base"
+): ApiInfo | undefined {
+  return (
+    state.verifiedApiInfo[verifiedApiInfoKey(baseUrl, modelName ?? "", modelType)] ?? state.baseUrlApiInfoCache[baseUrl]
+  );
 }
 
 export function loadTreeFromLocalStorage() {
@@ -88,13 +151,18 @@ export function setTree(roots: Token[]) {
     if (state.running) {
       return state;
     }
-    return { ...state, value: { kind: "tree", roots } };
+    return { ...state, value: { kind: "tree", roots }, usage: emptyUsage, scoredWith: null };
   });
 }
 
 export type SerializedModelSettings = SaveLoad.SerializedTree["modelSettings"];
 
-export function saveTree(state: State, modelName: string, modelSettings: SerializedModelSettings) {
+export function saveTree(
+  state: State,
+  modelName: string,
+  modelSettings: SerializedModelSettings,
+  prices: Prices | null
+) {
   const roots = state.value.roots;
   if (state.running || roots == null) {
     return;
@@ -105,6 +173,11 @@ export function saveTree(state: State, modelName: string, modelSettings: Seriali
     modelName,
     modelSettings,
     roots,
+    usage: {
+      ...state.usage,
+      ...(prices != null ? { estimatedCost: estimateCost(state.usage, prices) } : {}),
+    },
+    ...(state.scoredWith != null ? { scoredWith: state.scoredWith } : {}),
   });
 }
 
@@ -116,7 +189,12 @@ export function loadTree(importSettings: (modelName: string, modelSettings: Seri
           return state;
         }
         importSettings(tree.modelName, tree.modelSettings);
-        return { ...state, value: { kind: "tree", roots: tree.roots } };
+        const usage: Usage = {
+          requests: tree.usage?.requests ?? 0,
+          promptTokens: tree.usage?.promptTokens ?? 0,
+          completionTokens: tree.usage?.completionTokens ?? 0,
+        };
+        return { ...state, value: { kind: "tree", roots: tree.roots }, usage, scoredWith: tree.scoredWith ?? null };
       });
     },
     onError: (error) => {
@@ -131,11 +209,21 @@ export function loadTree(importSettings: (modelName: string, modelSettings: Seri
   });
 }
 
+export function clearQueryCache() {
+  QueryCacheStore.clear().then(() => {
+    updateState((state) => ({ ...state, cacheStats: { hits: 0, lookups: 0 } }));
+  });
+}
+
+/** Aborts the in-flight requests of the current run. Not part of `State`, because react doesn't need to see it. */
+let runAbortController: AbortController | null = null;
+
 export function interruptRun() {
   updateState((state) => {
     if (!state.running || state.interrupting) {
       return state;
     }
+    runAbortController?.abort();
     return { ...state, interrupting: true };
   });
 }
@@ -148,11 +236,25 @@ export function run(
     modelName: string;
     modelType: "chat" | "base";
     systemPrompt: string | undefined;
+    messages: ChatMessage[];
     prompt: string | undefined;
     prefill: string | undefined;
+    mode: TreeMode;
+    samples: number;
+    stopSequences: string[];
+    mockCorpus: string | undefined;
     depth: number;
     maxWidth: number;
     coverProb: number;
+    deepAlternativePages: number;
+    minPathProb: number;
+    rolloutTokens: number;
+    constraint: { kind: ConstraintKind; source: string };
+    maxAttempts: number;
+    concurrency: number;
+    maxRequests: number;
+    maxNodes: number;
+    strategy: ExpansionStrategy;
     fromNodeId?: string;
   }
 ) {
@@ -160,10 +262,176 @@ export function run(
     return;
   }
 
-  const client = new OpenAI({
-    baseURL: opts.baseUrl,
-    apiKey: opts.apiKey,
+  function treeOptions(context: RunContext): TreeOptions {
+    return {
+      ...context,
+      model: opts.modelName,
+      modelType: opts.modelType,
+      systemPrompt: opts.systemPrompt,
+      messages: opts.messages,
+      prompt: opts.prompt,
+      prefill: opts.prefill,
+      mode: opts.mode,
+      samples: opts.samples,
+      stopSequences: opts.stopSequences,
+      mockCorpus: opts.mockCorpus,
+      depth: opts.depth,
+      maxWidth: opts.maxWidth,
+      coverProb: opts.coverProb,
+      deepAlternativePages: opts.deepAlternativePages,
+      minPathProb: opts.minPathProb,
+      rolloutTokens: opts.rolloutTokens,
+      // compiled here, so an invalid constraint shows up as a run error
+      constraint: compileConstraint(opts.constraint.kind, opts.constraint.source),
+      concurrency: opts.concurrency,
+      maxRequests: opts.maxRequests,
+      maxNodes: opts.maxNodes,
+      strategy: opts.strategy,
+      maxAttempts: opts.maxAttempts,
+    };
+  }
+
+  const fromNodeId = opts.fromNodeId;
+  if (fromNodeId == null) {
+    updateState((state) => ({ ...state, scoredWith: null }));
+    startRun(prevState, opts, false, (context) => buildTree(treeOptions(context)));
+  } else {
+    const roots = prevState.value.roots;
+    if (roots == null) {
+      throw new Error(`ui bug: state missing tree, can't expand '${opts.fromNodeId}' (how did you get this id?)`);
+    }
+    // expanding adds to the existing tree, so keep counting its usage
+    startRun(prevState, opts, true, (context) => expandTree(treeOptions(context), roots, fromNodeId));
+  }
+}
+
+/** Score the current tree's tokens under a second model, to compare with the model that generated them. */
+export function scoreWithModel(
+  prevState: State,
+  opts: {
+    baseUrl: string;
+    apiKey: string;
+    modelName: string;
+    modelType: "chat" | "base";
+    systemPrompt: string | undefined;
+    messages: ChatMessage[];
+    prompt: string | undefined;
+    prefill: string | undefined;
+    mockCorpus: string | undefined;
+    maxAttempts: number;
+    concurrency: number;
+  }
+) {
+  const roots = prevState.value.roots;
+  if (prevState.running || roots == null) {
+    return;
+  }
+
+  // until the run finishes, the tree's scores are partly from this model, so it isn't scored with any one model
+  updateState((state) => ({ ...state, scoredWith: null }));
+  startRun(prevState, opts, true, async (context) => {
+    const scored = await scoreTree(
+      {
+        ...context,
+        model: opts.modelName,
+        modelType: opts.modelType,
+        systemPrompt: opts.systemPrompt,
+        messages: opts.messages,
+        prompt: opts.prompt,
+        prefill: opts.prefill,
+        mockCorpus: opts.mockCorpus,
+        concurrency: opts.concurrency,
+        maxAttempts: opts.maxAttempts,
+      },
+      roots
+    );
+    if (!context.signal?.aborted) {
+      updateState((state) => ({ ...state, scoredWith: opts.modelName }));
+    }
+    return scored;
+  });
+}
+
+/**
+ * Check what the model supports by sending it a few tiny requests (see `probeApi`), and remember the results for this
+ * base URL, model and model type, so later runs use them instead of guessing.
+ */
+export function testConnection(
+  prevState: State,
+  opts: {
+    baseUrl: string;
+    apiKey: string;
+    modelName: string;
+    modelType: "chat" | "base";
+    mockCorpus: string | undefined;
+  }
+) {
+  if (prevState.running) {
+    return;
+  }
+
+  const abortController = new AbortController();
+  runAbortController = abortController;
+  updateState((state) => ({ ...state, running: true }));
+
+  const client = createClient(opts);
+  sniffApi(opts.baseUrl, opts.apiKey)
+    .then((apiInfo) => {
+      updateState((state) => ({
+        ...state,
+        baseUrlApiInfoCache: { ...state.baseUrlApiInfoCache, [opts.baseUrl]: apiInfo },
+      }));
+      return probeApi({
+        client,
+        baseUrl: opts.baseUrl,
+        apiInfo,
+        model: opts.modelName,
+        modelType: opts.modelType,
+        mockCorpus: opts.mockCorpus,
+        signal: abortController.signal,
+      });
+    })
+    .finally(() => {
+      if (runAbortController === abortController) {
+        runAbortController = null;
+      }
+    })
+    .then((apiInfo) => {
+      updateState((state) => {
+        const verifiedApiInfo = {
+          ...state.verifiedApiInfo,
+          [verifiedApiInfoKey(opts.baseUrl, opts.modelName, opts.modelType)]: apiInfo,
+        };
+        trySyncVerifiedApiInfoToLocalStorage(verifiedApiInfo);
+        return { ...state, verifiedApiInfo, running: false, interrupting: false };
+      });
+    })
+    .catch((error) => {
+      console.error(error);
+      updateState((state) => ({
+        ...state,
+        running: false,
+        interrupting: false,
+        // stopping the test isn't an error
+        value: abortController.signal.aborted ? state.value : { kind: "error", error, roots: state.value.roots },
+      }));
+    });
+}
+
+/** The options that every kind of run sets up the same way. */
+type RunContext = Pick<
+  TreeOptions,
+  "client" | "baseUrl" | "apiInfo" | "cache" | "signal" | "onRetry" | "onUsage" | "onWarning" | "progress"
+>;
+
+/** An OpenAI client for `api`, set up for the browser. */
+function createClient(api: { baseUrl: string; apiKey: string }): InstanceType<typeof OpenAI> {
+  return new OpenAI({
+    baseURL: api.baseUrl,
+    apiKey: api.apiKey,
     dangerouslyAllowBrowser: true,
+    // retries are handled by logit-loom, so they can be shown in the UI
+    maxRetries: 0,
     // Remove headers that can cause CORS issues with non-openai providers
     // TODO remove only when provider !== openai, but nullifying headers with .create(request, { headers: nullifiedHeaders}) didn't work
     defaultHeaders: {
@@ -177,22 +445,60 @@ export function run(
     'x-stainless-timeout': null,
     }
   });
+}
 
-  updateState((state) => ({ ...state, running: true }));
+/** Start a run against the API at `baseUrl`, showing the tree `work` builds as it progresses. */
+function startRun(
+  prevState: State,
+  api: { baseUrl: string; apiKey: string; modelName: string; modelType: "chat" | "base" },
+  keepUsage: boolean,
+  work: (context: RunContext) => Promise<Token[]>
+) {
+  const client = createClient(api);
+
+  const abortController = new AbortController();
+  runAbortController = abortController;
+  updateState((state) => ({
+    ...state,
+    running: true,
+    cacheStats: { hits: 0, lookups: 0 },
+    warnings: [],
+    usage: keepUsage ? state.usage : emptyUsage,
+  }));
+
+  const cache: QueryCache = {
+    get: async (key) => {
+      const value = await QueryCacheStore.get(key);
+      updateState((state) => ({
+        ...state,
+        cacheStats: {
+          hits: state.cacheStats.hits + (value !== undefined ? 1 : 0),
+          lookups: state.cacheStats.lookups + 1,
+        },
+      }));
+      return value;
+    },
+    put: QueryCacheStore.put,
+  };
 
   async function getApiInfo(): Promise<ApiInfo> {
-    if (!isProbablyLocalhost(opts.baseUrl)) {
+    // the user tested these explicitly, so they're used even for localhost (they can test again after a restart)
+    const verifiedApiInfo = prevState.verifiedApiInfo[verifiedApiInfoKey(api.baseUrl, api.modelName, api.modelType)];
+    if (verifiedApiInfo != null) {
+      return verifiedApiInfo;
+    }
+    if (!isProbablyLocalhost(api.baseUrl)) {
       // don't *use* cache for localhost because it's liable to change if the user runs a new server
       // but we still store it for the UI to render warnings
-      const cachedApiInfo = prevState.baseUrlApiInfoCache[opts.baseUrl];
+      const cachedApiInfo = prevState.baseUrlApiInfoCache[api.baseUrl];
       if (cachedApiInfo != null) {
         return cachedApiInfo;
       }
     }
-    const apiInfo = await sniffApi(opts.baseUrl, opts.apiKey);
+    const apiInfo = await sniffApi(api.baseUrl, api.apiKey);
     updateState((state) => ({
       ...state,
-      baseUrlApiInfoCache: { ...state.baseUrlApiInfoCache, [opts.baseUrl]: apiInfo },
+      baseUrlApiInfoCache: { ...state.baseUrlApiInfoCache, [api.baseUrl]: apiInfo },
     }));
     return apiInfo;
   }
@@ -203,61 +509,50 @@ export function run(
     let interrupting = false;
     updateState((state) => {
       interrupting = state.interrupting;
-      return { ...state, value: { kind: "tree", roots } };
+      return { ...state, value: { kind: "tree", roots }, retrying: null };
     });
     return interrupting; // interrupt if user requested it
   }
 
-  let promise: Promise<Token[]>;
-  const fromNodeId = opts.fromNodeId;
-  if (fromNodeId == null) {
-    promise = getApiInfo().then((apiInfo) =>
-      buildTree({
+  getApiInfo()
+    .then((apiInfo) =>
+      work({
         client,
-        baseUrl: opts.baseUrl,
+        baseUrl: api.baseUrl,
         apiInfo,
-        model: opts.modelName,
-        modelType: opts.modelType,
-        systemPrompt: opts.systemPrompt,
-        prompt: opts.prompt,
-        prefill: opts.prefill,
-        depth: opts.depth,
-        maxWidth: opts.maxWidth,
-        coverProb: opts.coverProb,
+        cache,
+        signal: abortController.signal,
+        onRetry: (retrying) => updateState((state) => ({ ...state, retrying })),
+        onUsage: (usage) =>
+          updateState((state) => ({
+            ...state,
+            usage: {
+              requests: state.usage.requests + usage.requests,
+              promptTokens: state.usage.promptTokens + usage.promptTokens,
+              completionTokens: state.usage.completionTokens + usage.completionTokens,
+            },
+          })),
+        onWarning: (warning) =>
+          updateState((state) =>
+            state.warnings.includes(warning) ? state : { ...state, warnings: [...state.warnings, warning] }
+          ),
         progress,
       })
-    );
-  } else {
-    const roots = prevState.value.roots;
-    if (roots == null) {
-      throw new Error(`ui bug: state missing tree, can't expand '${opts.fromNodeId}' (how did you get this id?)`);
-    }
-    promise = getApiInfo().then((apiInfo) =>
-      expandTree(
-        {
-          client,
-          baseUrl: opts.baseUrl,
-          apiInfo,
-          model: opts.modelName,
-          modelType: opts.modelType,
-          systemPrompt: opts.systemPrompt,
-          prompt: opts.prompt,
-          prefill: opts.prefill,
-          depth: opts.depth,
-          maxWidth: opts.maxWidth,
-          coverProb: opts.coverProb,
-          progress,
-        },
-        roots,
-        fromNodeId
-      )
-    );
-  }
-
-  promise
+    )
+    .finally(() => {
+      if (runAbortController === abortController) {
+        runAbortController = null;
+      }
+    })
     .then((roots) => {
       trySyncTreeToLocalStorage(roots);
-      updateState((state) => ({ ...state, value: { kind: "tree", roots }, running: false, interrupting: false }));
+      updateState((state) => ({
+        ...state,
+        value: { kind: "tree", roots },
+        running: false,
+        interrupting: false,
+        retrying: null,
+      }));
     })
     .catch((error) => {
       console.error(error);
@@ -265,6 +560,7 @@ export function run(
         ...state,
         running: false,
         interrupting: false,
+        retrying: null,
         value: { kind: "error", error, roots: state.value.roots },
       }));
     });
@@ -303,11 +599,28 @@ function trySyncTreeToLocalStorage(roots: Token[]) {
   }
 }
 
-function isProbablyLocalhost(url: string): boolean {
-  return (
-    url.includes("//localhost") ||
-    url.includes("//127.0.0") ||
-    url.includes("//[::1]") ||
-    url.includes("//[0:0:0:0:0:0:0:1]")
-  );
+const verifiedApiInfoLocalStorageKey = "verifiedApiInfo";
+
+/** The probe's results depend on the model type too, e.g. chat models are checked for prefill support. */
+function verifiedApiInfoKey(baseUrl: string, modelName: string, modelType: "chat" | "base"): string {
+  return JSON.stringify([baseUrl, modelName, modelType]);
+}
+
+/** Get the api info saved by `testConnection`, or nothing on error. */
+function tryGetVerifiedApiInfoFromLocalStorage(): Record<string, ApiInfo> {
+  try {
+    const value = localStorage.getItem(verifiedApiInfoLocalStorageKey);
+    return value != null ? JSON.parse(value) : {};
+  } catch (e) {
+    console.error("getting verified api info from localStorage:", e);
+    return {};
+  }
+}
+
+function trySyncVerifiedApiInfoToLocalStorage(verifiedApiInfo: Record<string, ApiInfo>) {
+  try {
+    localStorage.setItem(verifiedApiInfoLocalStorageKey, JSON.stringify(verifiedApiInfo));
+  } catch (e) {
+    console.error("persisting verified api info to localStorage:", e);
+  }
 }